@@ -2,20 +2,39 @@
 import "dotenv/config";
 
 import fs from "node:fs/promises";
+import os from "node:os";
 import path from "node:path";
 import { spawn } from "node:child_process";
+import { createHash } from "node:crypto";
 import readline from "node:readline";
 import process from "node:process";
-import { fileURLToPath } from "node:url";
+import { fileURLToPath, pathToFileURL } from "node:url";
 
 // ----------- CLI ARGS -----------
 
+const COMMANDS = ["run", "scan", "collect", "analyze", "render"];
+
 function parseArgs() {
   const args = process.argv.slice(2);
   const out = {
+    command: "run",
+    raw: null,
+    fromRaw: null,
     path: ".",
     email: null,
     emails: null,
+    identity: null,
+    authorName: null,
+    allRefs: false,
+    branches: null,
+    remotes: null,
+    squashMerges: false,
+    submodules: false,
+    maxDepth: null,
+    scanIgnore: null,
+    noDefaultScanIgnores: false,
+    scanConcurrency: null,
+    mainBranch: null,
     apiKey: null,
     apiKeys: null,
     geminiApiKey: null,
@@ -38,11 +57,37 @@ function parseArgs() {
     includeMerges: false,
     only: null,
     fullDiff: false,
+    cacheDir: null,
+    noCache: false,
+    noStructuredOutput: false,
+    noStream: false,
+    dryRun: false,
+    clearCache: false,
+    resume: null,
+    baseUrl: null,
+    providerModule: null,
+    concurrency: null,
+    maxRetries: null,
+    retryBaseMs: null,
+    retryMaxMs: null,
+    contextTokens: null,
+    maxOutputTokens: null,
+    batchTokens: null,
+    priceTable: null,
+    noRedact: false,
+    redactRules: null,
+    diffInclude: null,
+    diffExclude: null,
+    noDefaultDiffExcludes: false,
   };
 
   const takeNext = (i, arr) =>
     i + 1 < arr.length && !arr[i + 1].startsWith("-") ? arr[i + 1] : null;
 
+  if (args.length && COMMANDS.includes(args[0])) {
+    out.command = args.shift();
+  }
+
   for (let i = 0; i < args.length; i++) {
     const a = args[i];
     switch (a) {
@@ -64,6 +109,85 @@ function parseArgs() {
         }
         break;
       }
+      case "--all": {
+        out.allRefs = true;
+        break;
+      }
+      case "--branches": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.branches = v;
+          i++;
+        }
+        break;
+      }
+      case "--remotes": {
+        // the globs are optional: a bare --remotes reads every remote branch
+        const v = takeNext(i, args);
+        out.remotes = v || "*";
+        if (v) i++;
+        break;
+      }
+      case "--submodules": {
+        out.submodules = true;
+        break;
+      }
+      case "--max-depth": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.maxDepth = v;
+          i++;
+        }
+        break;
+      }
+      case "--scan-ignore": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.scanIgnore = v;
+          i++;
+        }
+        break;
+      }
+      case "--no-default-scan-ignores": {
+        out.noDefaultScanIgnores = true;
+        break;
+      }
+      case "--scan-concurrency": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.scanConcurrency = v;
+          i++;
+        }
+        break;
+      }
+      case "--squash-merges": {
+        out.squashMerges = true;
+        break;
+      }
+      case "--main-branch": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.mainBranch = v;
+          i++;
+        }
+        break;
+      }
+      case "--identity": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.identity = v;
+          i++;
+        }
+        break;
+      }
+      case "--author-name": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.authorName = v;
+          i++;
+        }
+        break;
+      }
       case "--emails": {
         const v = takeNext(i, args);
         if (v) {
@@ -137,6 +261,94 @@ function parseArgs() {
         }
         break;
       }
+      case "--concurrency": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.concurrency = v;
+          i++;
+        }
+        break;
+      }
+      case "--max-retries": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.maxRetries = v;
+          i++;
+        }
+        break;
+      }
+      case "--retry-base-ms": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.retryBaseMs = v;
+          i++;
+        }
+        break;
+      }
+      case "--retry-max-ms": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.retryMaxMs = v;
+          i++;
+        }
+        break;
+      }
+      case "--context-tokens": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.contextTokens = v;
+          i++;
+        }
+        break;
+      }
+      case "--max-output-tokens": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.maxOutputTokens = v;
+          i++;
+        }
+        break;
+      }
+      case "--price-table": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.priceTable = v;
+          i++;
+        }
+        break;
+      }
+      case "--redact-rules": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.redactRules = v;
+          i++;
+        }
+        break;
+      }
+      case "--batch-tokens": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.batchTokens = v;
+          i++;
+        }
+        break;
+      }
+      case "--provider-module": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.providerModule = v;
+          i++;
+        }
+        break;
+      }
+      case "--base-url": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.baseUrl = v;
+          i++;
+        }
+        break;
+      }
       case "--since": {
         const v = takeNext(i, args);
         if (v) {
@@ -237,6 +449,82 @@ function parseArgs() {
         out.fullDiff = true;
         break;
       }
+      case "--cache-dir": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.cacheDir = v;
+          i++;
+        }
+        break;
+      }
+      case "--no-cache": {
+        out.noCache = true;
+        break;
+      }
+      case "--no-structured-output": {
+        out.noStructuredOutput = true;
+        break;
+      }
+      case "--no-stream": {
+        out.noStream = true;
+        break;
+      }
+      case "--diff-include": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.diffInclude = v;
+          i++;
+        }
+        break;
+      }
+      case "--diff-exclude": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.diffExclude = v;
+          i++;
+        }
+        break;
+      }
+      case "--no-default-diff-excludes": {
+        out.noDefaultDiffExcludes = true;
+        break;
+      }
+      case "--no-redact": {
+        out.noRedact = true;
+        break;
+      }
+      case "--dry-run": {
+        out.dryRun = true;
+        break;
+      }
+      case "--clear-cache": {
+        out.clearCache = true;
+        break;
+      }
+      case "--raw": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.raw = v;
+          i++;
+        }
+        break;
+      }
+      case "--from-raw": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.fromRaw = v;
+          i++;
+        }
+        break;
+      }
+      case "--resume": {
+        const v = takeNext(i, args);
+        if (v) {
+          out.resume = v;
+          i++;
+        }
+        break;
+      }
       default:
         break;
     }
@@ -290,15 +578,6 @@ async function promptRequired(label, currentValue, colorize) {
   }
 }
 
-function normalizeProvider(input) {
-  if (!input) return null;
-  const val = String(input).trim().toLowerCase();
-  if (val === "gemini" || val === "google") return "gemini";
-  if (val === "gpt" || val === "openai" || val === "chatgpt") return "gpt";
-  if (val === "claude" || val === "anthropic") return "claude";
-  return null;
-}
-
 async function selectFromList(
   label,
   options,
@@ -432,10 +711,15 @@ function matchesGlobs(value, globs) {
   return globs.some((g) => globToRegExp(g).test(value));
 }
 
+// Repo names are paths under --path; globs match the whole name or just the
+// folder name, so "api" still selects "services/api".
 function filterReposByGlobs(repos, includeGlobs, excludeGlobs) {
+  const matches = (repo, globs) =>
+    matchesGlobs(repo.name, globs) ||
+    matchesGlobs(repo.name.split("/").pop(), globs);
   return repos.filter((repo) => {
-    const included = includeGlobs?.length ? matchesGlobs(repo.name, includeGlobs) : true;
-    const excluded = excludeGlobs?.length ? matchesGlobs(repo.name, excludeGlobs) : false;
+    const included = includeGlobs?.length ? matches(repo, includeGlobs) : true;
+    const excluded = excludeGlobs?.length ? matches(repo, excludeGlobs) : false;
     return included && !excluded;
   });
 }
@@ -447,11 +731,67 @@ function formatTimestampDir(date = new Date()) {
   )}__${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
 }
 
+async function writeJsonAtomic(filename, data, space) {
+  await fs.mkdir(path.dirname(filename), { recursive: true });
+  // write-then-rename so an interrupted run never leaves a truncated file
+  const tmp = `${filename}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, space), "utf8");
+  await fs.rename(tmp, filename);
+}
+
+function trimTrailingSlash(url) {
+  return String(url).replace(/\/+$/, "");
+}
+
 function clampNumber(val, fallback) {
   const n = Number(val);
   return Number.isFinite(n) && n > 0 ? n : fallback;
 }
 
+function parseNonNegativeInt(val, fallback) {
+  if (val == null || val === "") return fallback;
+  const n = Number(val);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : fallback;
+}
+
+// Runs worker over items with at most `limit` in flight; results keep input order.
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const run = async () => {
+    while (next < items.length) {
+      const idx = next++;
+      results[idx] = await worker(items[idx], idx);
+    }
+  };
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, run));
+  return results;
+}
+
+// Wraps calls so that at most `limit` run at once; the rest wait in order.
+function createLimiter(limit) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= limit || !queue.length) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+  return (fn) =>
+    new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+}
+
 // ----------- GIT UTIL -----------
 
 function execGit(args, cwd) {
@@ -480,86 +820,580 @@ function execGit(args, cwd) {
   });
 }
 
-// ----------- SCAN REPOSITORIES -----------
+function execGitInput(args, cwd, input) {
+  return new Promise((resolve, reject) => {
+    const p = spawn("git", args, {
+      cwd,
+      stdio: ["pipe", "pipe", "pipe"],
+    });
 
-async function scanRepositories(rootPath) {
-  const repos = [];
+    let out = "";
+    let err = "";
 
-  async function walk(dir) {
-    let entries;
-    try {
-      entries = await fs.readdir(dir, { withFileTypes: true });
-    } catch {
-      return;
-    }
+    p.stdout.on("data", (d) => {
+      out += d.toString();
+    });
+    p.stderr.on("data", (d) => {
+      err += d.toString();
+    });
+    p.on("error", reject);
+    p.on("close", (code) => {
+      if (code === 0) resolve(out);
+      else
+        reject(
+          new Error(`git ${args.join(" ")} failed in ${cwd}:\n${err.trim()}`),
+        );
+    });
+    p.stdin.end(input);
+  });
+}
 
-    for (const ent of entries) {
-      const full = path.join(dir, ent.name);
-      if (!ent.isDirectory()) continue;
+// ----------- SCAN REPOSITORIES -----------
 
-      if (ent.name === ".git") {
-        const repoPath = path.dirname(full);
-        const name = path.basename(repoPath);
-        // avoid duplicate if multiple .git found somehow
-        if (!repos.some((r) => r.path === repoPath)) {
-          repos.push({ name, path: repoPath });
-        }
-        // don't walk inside .git
-        continue;
-      }
+// A repository is a directory with a .git directory, a .git file (linked
+// worktrees and submodules point at their git dir with "gitdir: <path>"), or
+// a bare repository (HEAD, objects/ and refs/ at the top, like "name.git").
+// Repos are named by their path under the scan root so nested repos with the
+// same basename stay apart. Checkouts sharing one object store are scanned
+// once, as the main worktree if it was found.
+
+// Directories never searched for repos: dependency trees, virtualenvs, build
+// output and caches. --scan-ignore adds more, and a .gitbragscanignore file in
+// --path adds more or keeps a default with "!name".
+const DEFAULT_SCAN_IGNORES = [
+  "node_modules",
+  "bower_components",
+  "vendor",
+  ".venv",
+  "venv",
+  ".tox",
+  "__pycache__",
+  ".mypy_cache",
+  ".pytest_cache",
+  "target",
+  ".gradle",
+  ".m2",
+  ".cache",
+  ".npm",
+  ".yarn",
+  ".pnpm-store",
+  ".next",
+  ".nuxt",
+  ".terraform",
+  "Pods",
+  ".Trash",
+];
 
-      // skip some heavy folders if you want
-      if (ent.name === "node_modules") continue;
+const SCAN_IGNORE_FILE = ".gitbragscanignore";
 
-      await walk(full);
-    }
-  }
+// A pattern without "/" matches a directory name at any depth; with "/" it
+// matches the directory's path under the scan root. Rules apply in order
+// (defaults, the ignore file, then --scan-ignore) and the last match wins.
+function createScanIgnore({
+  patterns = [],
+  useDefaults = true,
+  ignoreFile = null,
+}) {
+  const ordered = [
+    ...(useDefaults ? DEFAULT_SCAN_IGNORES : []).map((pattern) => ({
+      pattern,
+      negate: false,
+    })),
+    ...(ignoreFile?.rules || []),
+    ...patterns.map((pattern) => ({ pattern, negate: false })),
+  ];
+  const rules = ordered.map(({ pattern, negate }) => {
+    const glob = pattern.replace(/^\/+|\/+$/g, "");
+    return { negate, byPath: glob.includes("/"), regex: globToRegExp(glob) };
+  });
+  return {
+    patterns: ordered.map((r) => (r.negate ? `!${r.pattern}` : r.pattern)),
+    matches(relPath, name) {
+      let ignored = false;
+      for (const r of rules) {
+        if (r.regex.test(r.byPath ? relPath : name)) ignored = !r.negate;
+      }
+      return ignored;
+    },
+  };
+}
 
-  await walk(rootPath);
-  return repos;
+const REPO_KIND_RANK = {
+  worktree: 0,
+  submodule: 1,
+  "linked-worktree": 2,
+  bare: 3,
+};
+
+function looksLikeBareRepo(entries) {
+  const has = (name, dir) =>
+    entries.some(
+      (e) => e.name === name && (dir ? e.isDirectory() : e.isFile()),
+    );
+  return has("HEAD", false) && has("objects", true) && has("refs", true);
 }
 
-// ----------- GET COMMITS (WITH DATE FILTER) -----------
+async function describeRepo(dir) {
+  const out = await execGit(
+    [
+      "rev-parse",
+      "--is-bare-repository",
+      "--absolute-git-dir",
+      "--git-common-dir",
+      "--show-superproject-working-tree",
+    ],
+    dir,
+  );
+  const [bare, gitDir, commonDir, superproject] = out
+    .split("\n")
+    .map((l) => l.trim());
+  const realGitDir = await fs.realpath(gitDir);
+  // relative to dir, e.g. "." in a bare repo or ".git" in a worktree
+  const realCommonDir = await fs.realpath(path.resolve(dir, commonDir));
+  let kind = "worktree";
+  if (bare === "true") kind = "bare";
+  else if (superproject) kind = "submodule";
+  else if (realGitDir !== realCommonDir) kind = "linked-worktree";
+  return { kind, commonDir: realCommonDir, superproject: superproject || null };
+}
 
-async function getCommits(
-  repoPath,
-  emails,
-  since,
-  until,
-  includeMerges,
-  maxCommits,
+// Sibling directories are read in parallel, with at most `concurrency`
+// filesystem and git calls in flight. onProgress gets the running
+// counts, and once more with `done: true` at the end.
+async function scanRepositories(
+  rootPath,
+  {
+    submodules = false,
+    maxDepth = null,
+    ignore = null,
+    concurrency = 8,
+    onProgress = null,
+  } = {},
 ) {
-  const authorRegex = emails?.length
-    ? `(${emails.map(escapeRegex).join("|")})`
-    : null;
-  const args = [
-    "log",
-    ...(authorRegex
-      ? [
-          `--author=${authorRegex}`,
-          "--extended-regexp",
-          "--regexp-ignore-case",
-        ]
-      : []),
-    "--pretty=format:%H|%ad|%an|%ae|%s",
-    "--date=iso",
-  ];
+  const found = [];
+  // every path the walk reached each real directory by; only the first is
+  // read, so symlink loops end and linked dirs are read once
+  const reachedBy = new Map();
+  const realOf = new Map();
+  const limit = createLimiter(Math.max(1, Math.floor(concurrency) || 1));
+  let dirs = 0;
+  const relative = (dir) =>
+    path.relative(rootPath, dir).split(path.sep).join("/");
+
+  async function addRepo(dir) {
+    let info;
+    try {
+      info = await limit(() => describeRepo(dir));
+    } catch {
+      return null;
+    }
+    if (info.kind === "submodule" && !submodules) return info;
+    found.push({
+      real: realOf.get(dir),
+      kind: info.kind,
+      commonDir: info.commonDir,
+      ...(info.superproject ? { parent: info.superproject } : {}),
+    });
+    return info;
+  }
 
-  if (!includeMerges) args.push("--no-merges");
+  async function walk(dir, depth) {
+    let real;
+    try {
+      real = await limit(() => fs.realpath(dir));
+    } catch {
+      return;
+    }
+    realOf.set(dir, real);
+    if (reachedBy.has(real)) {
+      reachedBy.get(real).push(dir);
+      return;
+    }
+    reachedBy.set(real, [dir]);
 
-  if (since) args.push(`--since=${since}`); // e.g. 2025-01-01
-  if (until) args.push(`--until=${until}`); // e.g. 2025-12-31
-  if (maxCommits) args.push(`--max-count=${maxCommits}`);
+    let entries;
+    try {
+      entries = await limit(() => fs.readdir(dir, { withFileTypes: true }));
+    } catch {
+      return;
+    }
+    dirs++;
+    onProgress?.({ dirs, repos: found.length, done: false });
+
+    const hasGit = entries.some((e) => e.name === ".git");
+    if (hasGit || looksLikeBareRepo(entries)) {
+      const info = await addRepo(dir);
+      // a bare repo has no working tree, and skipped submodules are not
+      // searched for nested repos either
+      if (info?.kind === "bare") return;
+      if (info?.kind === "submodule" && !submodules) return;
+    }
+    if (maxDepth != null && depth >= maxDepth) return;
+
+    await Promise.all(
+      entries.map(async (ent) => {
+        if (ent.name === ".git") return;
+        const full = path.join(dir, ent.name);
+        if (ignore?.matches(relative(full), ent.name)) return;
+        let isDir = ent.isDirectory();
+        if (ent.isSymbolicLink()) {
+          isDir = await limit(() => fs.stat(full)).then(
+            (st) => st.isDirectory(),
+            () => false,
+          );
+        }
+        if (isDir) await walk(full, depth + 1);
+      }),
+    );
+  }
+
+  await walk(rootPath, 0);
+
+  // Which path reached a directory first depends on timing, so repos are
+  // named by a fixed choice: the path without symlinks when it lies under
+  // rootPath, else the alphabetically first way in.
+  const realRoot = realOf.get(rootPath);
+  const resolving = new Set();
+  const displayPath = (real) => {
+    if (real === realRoot) return rootPath;
+    if (real.startsWith(realRoot + path.sep)) {
+      return path.join(rootPath, path.relative(realRoot, real));
+    }
+    resolving.add(real);
+    const options = (reachedBy.get(real) || [])
+      .map((p) => [realOf.get(path.dirname(p)), path.basename(p)])
+      .filter(([parent]) => parent && !resolving.has(parent))
+      .map(([parent, base]) => path.join(displayPath(parent), base))
+      .sort();
+    resolving.delete(real);
+    return options[0] || real;
+  };
+  const named = found.map(({ real, ...repo }) => {
+    const dir = displayPath(real);
+    return { name: relative(dir) || path.basename(dir), path: dir, ...repo };
+  });
+  // parallel reads finish in any order
+  named.sort((a, b) => a.path.localeCompare(b.path));
+
+  const byStore = new Map();
+  for (const repo of named) {
+    const prev = byStore.get(repo.commonDir);
+    if (!prev) {
+      byStore.set(repo.commonDir, repo);
+      continue;
+    }
+    const [keep, drop] =
+      REPO_KIND_RANK[repo.kind] < REPO_KIND_RANK[prev.kind]
+        ? [repo, prev]
+        : [prev, repo];
+    keep.sharedWith = [...(keep.sharedWith || []), drop.path];
+    if (drop.sharedWith) keep.sharedWith.push(...drop.sharedWith);
+    delete drop.sharedWith;
+    byStore.set(repo.commonDir, keep);
+  }
+  const repos = [...byStore.values()];
+  onProgress?.({ dirs, repos: repos.length, done: true });
+  return repos;
+}
+
+// ----------- DIFF PATH FILTERS -----------
+
+// Gitignore-style globs for files whose diff content is left out: a pattern
+// without a slash matches at any depth, a trailing slash limits it to
+// directories, and a pattern with a slash is relative to the repo root.
+const DEFAULT_DIFF_EXCLUDES = [
+  // lockfiles
+  "package-lock.json",
+  "npm-shrinkwrap.json",
+  "yarn.lock",
+  "pnpm-lock.yaml",
+  "bun.lockb",
+  "Cargo.lock",
+  "Gemfile.lock",
+  "composer.lock",
+  "poetry.lock",
+  "Pipfile.lock",
+  "uv.lock",
+  "go.sum",
+  "Podfile.lock",
+  // build output and vendored code
+  "dist/",
+  "build/",
+  ".next/",
+  "coverage/",
+  "node_modules/",
+  "vendor/",
+  "target/",
+  "__pycache__/",
+  // generated, minified and snapshots
+  "*.min.js",
+  "*.min.css",
+  "*.map",
+  "*.snap",
+  "__snapshots__/",
+  "*.pb.go",
+  "*_pb2.py",
+  // binaries
+  "*.png",
+  "*.jpg",
+  "*.jpeg",
+  "*.gif",
+  "*.ico",
+  "*.webp",
+  "*.pdf",
+  "*.zip",
+  "*.gz",
+  "*.tgz",
+  "*.jar",
+  "*.woff",
+  "*.woff2",
+  "*.ttf",
+  "*.exe",
+  "*.dll",
+  "*.so",
+  "*.dylib",
+  "*.wasm",
+];
+
+const DIFF_IGNORE_FILE = ".gitbragignore";
+
+// One pattern per line, # comments. As in .gitignore, "!pattern" re-includes
+// what an earlier line (or the defaults) excluded; the last match wins.
+async function readIgnoreFile(dir, filename) {
+  let text;
+  try {
+    text = await fs.readFile(path.join(dir, filename), "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+  const rules = [];
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) continue;
+    const negate = line.startsWith("!");
+    const pattern = negate ? line.slice(1).trim() : line;
+    if (pattern) rules.push({ pattern, negate });
+  }
+  return { rules };
+}
+
+// A .gitignore-style pattern as a glob for the path itself; `dirOnly` when it
+// had a trailing slash.
+function parseIgnorePattern(pattern) {
+  let glob = pattern.trim();
+  const dirOnly = glob.endsWith("/");
+  if (dirOnly) glob = glob.slice(0, -1);
+  if (!glob.includes("/")) glob = `**/${glob}`;
+  return { glob: glob.replace(/^\//, ""), dirOnly };
+}
+
+// Both forms are needed: git's glob pathspecs do not match the files inside
+// a matching directory on their own.
+function toPathspecGlobs(pattern) {
+  const { glob, dirOnly } = parseIgnorePattern(pattern);
+  return dirOnly ? [`${glob}/**`] : [glob, `${glob}/**`];
+}
+
+function pathspecToRegExp(glob) {
+  let regex = "";
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (glob.startsWith("**/", i)) {
+      regex += "(?:.*/)?";
+      i += 2;
+    } else if (glob.startsWith("**", i)) {
+      regex += ".*";
+      i += 1;
+    } else if (ch === "*") {
+      regex += "[^/]*";
+    } else if (ch === "?") {
+      regex += "[^/]";
+    } else {
+      regex += escapeRegex(ch);
+    }
+  }
+  return new RegExp(`^${regex}$`);
+}
+
+// `ignoreFiles` are parsed .gitbragignore files, root first, then the repo's.
+// Exclude rules apply in order (defaults, --diff-exclude, the ignore files)
+// and the last match wins. As in git, a file under an excluded directory
+// cannot be re-included: "dist/" with "!dist/keep.js" still drops it, while
+// "dist/*" with "!dist/keep.js" keeps it. git pathspecs cannot re-include a
+// path at all, so only the rules after the last "!" line go into `pathspec`;
+// when `exact` is false, callers filter the changed files with matches().
+function createDiffPathFilter({
+  include = [],
+  exclude = [],
+  useDefaults = true,
+  ignoreFiles = [],
+}) {
+  const ordered = [
+    ...[...(useDefaults ? DEFAULT_DIFF_EXCLUDES : []), ...exclude].map(
+      (pattern) => ({ pattern, negate: false }),
+    ),
+    ...ignoreFiles.flatMap((f) => f?.rules || []),
+  ];
+  const rules = ordered.map(({ pattern, negate }) => {
+    const { glob, dirOnly } = parseIgnorePattern(pattern);
+    return { negate, dirOnly, regex: pathspecToRegExp(glob) };
+  });
+  const excludes = (p, isDir) => {
+    let excluded = false;
+    for (const r of rules) {
+      if ((isDir || !r.dirOnly) && r.regex.test(p)) excluded = !r.negate;
+    }
+    return excluded;
+  };
+  const lastNegate = ordered.findLastIndex((r) => r.negate);
+  const includeGlobs = include.flatMap(toPathspecGlobs);
+  const excludeGlobs = [
+    ...new Set(
+      ordered.slice(lastNegate + 1).flatMap((r) => toPathspecGlobs(r.pattern)),
+    ),
+  ];
+  const includeRegexes = includeGlobs.map(pathspecToRegExp);
+
+  return {
+    include,
+    exclude: ordered.map((r) => (r.negate ? `!${r.pattern}` : r.pattern)),
+    exact: lastNegate < 0,
+    pathspec: [
+      "--",
+      ...(includeGlobs.length
+        ? includeGlobs.map((g) => `:(glob)${g}`)
+        : ["."]),
+      ...excludeGlobs.map((g) => `:(glob,exclude)${g}`),
+    ],
+    matches(file) {
+      if (includeRegexes.length && !includeRegexes.some((r) => r.test(file))) {
+        return false;
+      }
+      const parts = file.split("/");
+      for (let i = 1; i < parts.length; i++) {
+        if (excludes(parts.slice(0, i).join("/"), true)) return false;
+      }
+      return !excludes(file, false);
+    },
+  };
+}
+
+// ----------- AUTHOR IDENTITY -----------
+
+// Identity file: one person under many emails/names, e.g.
+// { "name": "Jane Doe", "email": "jane@work.com",
+//   "emails": ["jane@home.org"], "names": ["jdoe"] }
+// name/email are the canonical identity shown in outputs; every email and
+// name (canonical ones included) is matched against commit authors.
+async function loadIdentityConfig(filename) {
+  const config = JSON.parse(await fs.readFile(filename, "utf8"));
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error('expected an object with "name", "email", "emails", "names"');
+  }
+  for (const key of ["name", "email"]) {
+    if (config[key] != null && typeof config[key] !== "string") {
+      throw new Error(`"${key}" must be a string`);
+    }
+  }
+  for (const key of ["emails", "names"]) {
+    const list = config[key] ?? [];
+    if (!Array.isArray(list) || list.some((v) => typeof v !== "string")) {
+      throw new Error(`"${key}" must be a list of strings`);
+    }
+  }
+  const unique = (values) => [
+    ...new Set(values.map((v) => v?.trim()).filter(Boolean)),
+  ];
+  const identity = {
+    name: config.name?.trim() || null,
+    email: config.email?.trim() || null,
+    emails: unique([config.email, ...(config.emails || [])]),
+    names: unique([config.name, ...(config.names || [])]),
+  };
+  if (!identity.emails.length && !identity.names.length) {
+    throw new Error("needs at least one email or name");
+  }
+  return identity;
+}
+
+// Rewrites aliases to the canonical identity. git has already applied
+// .mailmap, so this only covers aliases that exist in the identity file.
+function applyIdentity(commit, identity) {
+  if (!identity) return commit;
+  const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+  const matches =
+    identity.emails.some((e) => same(e, commit.authorEmail)) ||
+    identity.names.some((n) => same(n, commit.authorName));
+  if (!matches) return commit;
+  const authorName = identity.name || commit.authorName;
+  const authorEmail = identity.email || commit.authorEmail;
+  if (authorName === commit.authorName && authorEmail === commit.authorEmail) {
+    return commit;
+  }
+  return {
+    ...commit,
+    authorName,
+    authorEmail,
+    originalAuthor:
+      commit.originalAuthor || `${commit.authorName} <${commit.authorEmail}>`,
+  };
+}
+
+function formatAuthorLabel({ identity, emails, authorNames = [] }) {
+  if (identity?.name && identity?.email) {
+    return `${identity.name} <${identity.email}>`;
+  }
+  if (identity?.name || identity?.email) return identity.name || identity.email;
+  return [...emails, ...authorNames].join(", ");
+}
+
+// ----------- GET COMMITS (WITH DATE FILTER) -----------
 
-  const out = await execGit(args, repoPath);
+const TRAILER_FIELDS = {
+  "co-authored-by": "coAuthors",
+  "reviewed-by": "reviewers",
+  "signed-off-by": "signedOffBy",
+};
+
+const COMMIT_LOG_FORMAT = [
+  "%H",
+  "%ad",
+  "%aN",
+  "%aE",
+  "%an",
+  "%ae",
+  "%(trailers:key=Co-authored-by,key=Reviewed-by,key=Signed-off-by,unfold,separator=%x1f)",
+  "%s",
+].join("|");
+
+// "Key: Name <email>" entries separated by \x1f; only non-empty lists are kept
+function parseTrailers(text) {
+  const trailers = {};
+  for (const entry of text.split("\x1f")) {
+    const m = /^([\w-]+):\s*(.*)$/.exec(entry.trim());
+    const field = m && TRAILER_FIELDS[m[1].toLowerCase()];
+    if (!field) continue;
+    const person = /^(.*?)\s*<([^>]*)>\s*$/.exec(m[2]);
+    (trailers[field] ||= []).push(
+      person
+        ? { name: person[1], email: person[2] }
+        : { name: m[2].trim(), email: "" },
+    );
+  }
+  return trailers;
+}
 
+function parseCommitLog(out) {
   const commits = [];
 
   for (const line of out.split("\n")) {
     if (!line.trim()) continue;
     const parts = line.split("|");
-    if (parts.length < 5) continue;
-    const [hash, dateStr, authorName, authorEmail, message] = parts;
+    if (parts.length < 8) continue;
+    const [hash, dateStr, authorName, authorEmail, rawName, rawEmail] = parts;
+    const trailers = parseTrailers(parts[6]);
+    const message = parts.slice(7).join("|");
     const date = new Date(dateStr);
 
     const lower = message.toLowerCase();
@@ -575,19 +1409,172 @@ async function getCommits(
       date,
       authorName,
       authorEmail,
+      // only when .mailmap changed it
+      ...(rawName !== authorName || rawEmail !== authorEmail
+        ? { originalAuthor: `${rawName} <${rawEmail}>` }
+        : {}),
       typeHint,
+      ...(Object.keys(trailers).length ? { trailers } : {}),
     });
   }
 
   return commits;
 }
 
-async function getDiffForCommit(repoPath, hash) {
-  const args = ["show", "--format=", "--unified=3", hash];
+// Whether a trailer's "Name <email>" is one of the person's identities. Whole
+// emails only, so me@x.com does not claim jimme@x.com.
+function isPerson(person, emails = [], authorNames = []) {
+  return (
+    emails.some(
+      (e) => e.toLowerCase() === person.email.trim().toLowerCase(),
+    ) ||
+    authorNames.some((n) => n.toLowerCase() === person.name.toLowerCase())
+  );
+}
+
+// Authored commits come from --author. Commits where the person is only in a
+// Co-authored-by trailer need a second query on the message, since --author
+// does not look at trailers; they get role "co-author".
+async function getCommits(
+  repoPath,
+  emails,
+  since,
+  until,
+  includeMerges,
+  maxCommits,
+  authorNames = [],
+  refs = null,
+) {
+  const emailList = emails || [];
+  const args = [
+    "log",
+    "--extended-regexp",
+    "--regexp-ignore-case",
+    "--use-mailmap",
+    `--pretty=format:${COMMIT_LOG_FORMAT}`,
+    "--date=iso",
+  ];
+
+  if (!includeMerges) args.push("--no-merges");
+
+  if (since) args.push(`--since=${since}`); // e.g. 2025-01-01
+  if (until) args.push(`--until=${until}`); // e.g. 2025-12-31
+  if (maxCommits) args.push(`--max-count=${maxCommits}`);
+  args.push(...buildRefArgs(refs));
+
+  // git matches these against the .mailmap-mapped "Name <email>"
+  const authorPatterns = [
+    ...emailList.map(escapeRegex),
+    ...authorNames.map((n) => `^${escapeRegex(n)} <`),
+  ];
+  if (!authorPatterns.length) {
+    const all = parseCommitLog(await execGit(args, repoPath));
+    return all.map((c) => ({ ...c, role: "author" }));
+  }
+
+  const authored = parseCommitLog(
+    await execGit(
+      [...args, `--author=(${authorPatterns.join("|")})`],
+      repoPath,
+    ),
+  ).map((c) => ({ ...c, role: "author" }));
+
+  const coAuthorPatterns = [
+    ...emailList.map((e) => `^co-authored-by:.*<${escapeRegex(e)}>`),
+    ...authorNames.map(
+      (n) => `^co-authored-by:[[:space:]]*${escapeRegex(n)}[[:space:]]*<`,
+    ),
+  ];
+  const isMe = (person) => isPerson(person, emailList, authorNames);
+  const seen = new Set(authored.map((c) => c.hash));
+  // the grep also hits message lines that only look like trailers
+  const coAuthored = parseCommitLog(
+    await execGit(
+      [...args, `--grep=(${coAuthorPatterns.join("|")})`],
+      repoPath,
+    ),
+  )
+    .filter((c) => !seen.has(c.hash) && c.trailers?.coAuthors?.some(isMe))
+    .map((c) => ({ ...c, role: "co-author" }));
+
+  const commits = [...authored, ...coAuthored].sort((a, b) => b.date - a.date);
+  return maxCommits ? commits.slice(0, maxCommits) : commits;
+}
+
+// The pathspec for one commit's diff and stats, or null when the filter
+// drops every changed file. A filter with "!" rules is not exact, so the
+// changed files are listed and passed on literally; a rename keeps its old
+// path too, so git still pairs the two sides.
+async function resolveCommitPathspec(repoPath, hash, pathFilter) {
+  if (!pathFilter || pathFilter.exact) return pathFilter?.pathspec || [];
+  const out = await execGit(
+    [
+      "show",
+      "--format=",
+      "--name-status",
+      "-z",
+      "-M",
+      hash,
+      ...pathFilter.pathspec,
+    ],
+    repoPath,
+  );
+  const tokens = out.split("\0").filter(Boolean);
+  const paths = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const renamed = /^[RC]/.test(tokens[i]);
+    const from = renamed ? tokens[++i] : null;
+    const file = tokens[++i];
+    if (!file || !pathFilter.matches(file)) continue;
+    if (from) paths.push(from);
+    paths.push(file);
+  }
+  if (!paths.length) return null;
+  return ["--", ...new Set(paths)].map((p, i) => (i ? `:(literal)${p}` : p));
+}
+
+async function getDiffForCommit(repoPath, hash, pathspec = []) {
+  const args = ["show", "--format=", "--unified=3", hash, ...pathspec];
   return execGit(args, repoPath);
 }
 
-function extractFilePathsFromDiff(diffText) {
+async function getCommitStats(repoPath, hash, pathspec = []) {
+  const args = ["show", "--format=", "--numstat", "-z", "-M", hash];
+  return parseNumstat(await execGit([...args, ...pathspec], repoPath));
+}
+
+// With -z each record is "added\tremoved\tpath\0"; a rename leaves the path
+// empty and follows with "old\0new\0". Binary files report "-" as counts.
+function parseNumstat(out) {
+  const tokens = out.split("\0");
+  const files = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const m = /^\s*(-|\d+)\t(-|\d+)\t(.*)$/s.exec(tokens[i]);
+    if (!m) continue;
+    const binary = m[1] === "-";
+    const file = {
+      path: m[3],
+      added: binary ? 0 : Number(m[1]),
+      removed: binary ? 0 : Number(m[2]),
+      binary,
+    };
+    if (!file.path) {
+      file.renamedFrom = tokens[++i];
+      file.path = tokens[++i];
+    }
+    files.push(file);
+  }
+  return {
+    filesChanged: files.length,
+    insertions: files.reduce((sum, f) => sum + f.added, 0),
+    deletions: files.reduce((sum, f) => sum + f.removed, 0),
+    binaryFiles: files.filter((f) => f.binary).length,
+    renames: files.filter((f) => f.renamedFrom).length,
+    files,
+  };
+}
+
+function extractFilePathsFromDiff(diffText, pathFilter) {
   if (!diffText) return [];
   const files = new Set();
   for (const line of diffText.split("\n")) {
@@ -600,129 +1587,1330 @@ function extractFilePathsFromDiff(diffText) {
       if (bPath) files.add(bPath);
     }
   }
-  return Array.from(files);
+  const list = Array.from(files);
+  return pathFilter ? list.filter((f) => pathFilter.matches(f)) : list;
 }
 
-function buildDiffSnippet(diffText, maxBytes, truncateReason) {
-  if (!diffText) {
-    return {
-      snippet: "",
-      bytesUsed: 0,
-      truncated: false,
-      truncateReason: null,
-    };
-  }
-
-  const totalBytes = Buffer.byteLength(diffText);
-  if (totalBytes <= maxBytes) {
-    return {
-      snippet: diffText,
-      bytesUsed: totalBytes,
-      truncated: false,
-      truncateReason: null,
-    };
-  }
+// ----------- BRANCHES -----------
 
-  let bytesUsed = 0;
-  const lines = diffText.split("\n");
-  const out = [];
-  for (const line of lines) {
-    const lineBytes = Buffer.byteLength(line + "\n");
-    if (bytesUsed + lineBytes > maxBytes) break;
-    out.push(line);
-    bytesUsed += lineBytes;
-  }
-  out.push("/* TRUNCATED: exceeded per-commit or per-repo diff limit */");
+// Which refs `git log` walks. Without options only HEAD is read; with them,
+// HEAD is still included so the checked-out work is never dropped.
+function hasRefSelection(refs) {
+  return Boolean(refs?.all || refs?.branches?.length || refs?.remotes?.length);
+}
 
-  return {
-    snippet: out.join("\n"),
-    bytesUsed,
-    truncated: true,
-    truncateReason: truncateReason || "per-commit",
-  };
+function buildRefArgs(refs) {
+  if (!hasRefSelection(refs)) return [];
+  const args = ["HEAD"];
+  if (refs.all) args.push("--exclude=refs/stash", "--all");
+  for (const glob of refs.branches || []) args.push(`--branches=${glob}`);
+  for (const glob of refs.remotes || []) args.push(`--remotes=${glob}`);
+  return args;
 }
 
-// ----------- REPO SELECTION -----------
+// The refs behind buildRefArgs as { name, tip }, for recording where commits
+// are. Like git's --branches/--remotes, "*" also matches "/" and a glob
+// without wildcards matches that name and everything below it.
+async function listSelectedRefs(repoPath, refs) {
+  const matchesAny = (name, globs = []) =>
+    globs.some((g) =>
+      /[?*[]/.test(g)
+        ? globToRegExp(g).test(name)
+        : name === g || name.startsWith(`${g}/`),
+    );
+  // annotated tags point at a tag object; %(*objectname) is its commit
+  const out = await execGit(
+    [
+      "for-each-ref",
+      "--format=%(refname) %(objectname) %(*objectname)",
+      "refs/heads",
+      "refs/remotes",
+      "refs/tags",
+    ],
+    repoPath,
+  );
+  const head = (
+    await execGit(["rev-parse", "--abbrev-ref", "HEAD"], repoPath)
+  ).trim();
+  const headTip = (await execGit(["rev-parse", "HEAD"], repoPath)).trim();
+  const selected = [{ name: head, tip: headTip }];
+  for (const line of out.split("\n")) {
+    const [ref, object, peeled] = line.trim().split(" ");
+    const m = /^refs\/(heads|remotes|tags)\/(.+)$/.exec(ref || "");
+    // origin/HEAD only repeats the remote's default branch
+    if (!m || m[2].endsWith("/HEAD")) continue;
+    const [, kind, name] = m;
+    if (name === head) continue;
+    if (
+      refs.all ||
+      (kind === "heads" && matchesAny(name, refs.branches)) ||
+      (kind === "remotes" && matchesAny(name, refs.remotes))
+    ) {
+      selected.push({ name, tip: peeled || object });
+    }
+  }
+  return selected;
+}
 
-async function selectReposInteractive(reposWithCommits, isInteractive) {
-  if (!isInteractive) return reposWithCommits;
-  console.log("\nRepositories with matching commits:\n");
-  reposWithCommits.forEach((r, idx) => {
-    console.log(`[${idx + 1}] ${r.name}  (${r.commits.length} commits)`);
+// Which of `hashes` each ref reaches, from a single walk: rev-list prints
+// children before parents, so each commit passes the set of refs reaching
+// it (a bit per ref) on to its parents.
+async function mapRefMembership(repoPath, selectedRefs, hashes, since) {
+  const wanted = new Set(hashes);
+  const tipBits = new Map();
+  selectedRefs.forEach(({ tip }, i) => {
+    tipBits.set(tip, (tipBits.get(tip) || 0n) | (1n << BigInt(i)));
   });
-  console.log("");
-
-  const ans = await ask("Select repos (e.g. 1,3,5) or press Enter for ALL: ");
-  const trimmed = ans.trim();
-  if (!trimmed) return reposWithCommits;
-
-  const idxs = trimmed
-    .split(",")
-    .map((s) => parseInt(s.trim(), 10))
-    .filter((n) => !Number.isNaN(n) && n >= 1 && n <= reposWithCommits.length);
-
-  if (!idxs.length) return reposWithCommits;
+  const args = ["rev-list", "--topo-order", "--parents", "--stdin"];
+  if (since) args.push(`--since=${since}`);
+  const out = await execGitInput(
+    args,
+    repoPath,
+    [...tipBits.keys()].join("\n") + "\n",
+  );
 
-  return idxs.map((i) => reposWithCommits[i - 1]);
+  const masks = new Map();
+  const membership = new Map();
+  for (const line of out.split("\n")) {
+    const [hash, ...parents] = line.trim().split(" ");
+    if (!hash) continue;
+    const mask = (masks.get(hash) || 0n) | (tipBits.get(hash) || 0n);
+    masks.delete(hash);
+    for (const parent of parents) {
+      masks.set(parent, (masks.get(parent) || 0n) | mask);
+    }
+    if (!wanted.has(hash)) continue;
+    membership.set(
+      hash,
+      selectedRefs
+        .filter((_, i) => (mask >> BigInt(i)) & 1n)
+        .map((r) => r.name),
+    );
+  }
+  return membership;
 }
 
-// ----------- BATCHING -----------
-
-function chunkCommits(enrichedCommits, maxCharsPerBatch = 40000) {
-  const batches = [];
-  let current = [];
-  let curLen = 0;
-
-  for (const c of enrichedCommits) {
-    const approxLen =
-      (c.message?.length || 0) + (c.diffSnippet?.length || 0) + 400; // overhead
+// "<patch-id> <commit>" per commit; merges have no patch and are left out.
+async function computePatchIds(repoPath, hashes) {
+  if (!hashes.length) return new Map();
+  const patches = await execGitInput(
+    ["diff-tree", "--stdin", "--root", "-p", "--no-color"],
+    repoPath,
+    hashes.join("\n") + "\n",
+  );
+  const out = await execGitInput(["patch-id", "--stable"], repoPath, patches);
+  const ids = new Map();
+  for (const line of out.split("\n")) {
+    const [patchId, hash] = line.trim().split(/\s+/);
+    if (patchId && hash) ids.set(hash, patchId);
+  }
+  return ids;
+}
 
-    if (current.length && curLen + approxLen > maxCharsPerBatch) {
-      batches.push(current);
-      current = [];
-      curLen = 0;
-    }
+// Records the branches each commit is reachable from and keeps one commit
+// per patch-id, so a cherry-pick or rebased copy on another branch is counted
+// once. The kept commit is the one on HEAD if any, else the oldest; the
+// others are listed as `duplicates` and their branches are merged in.
+async function annotateBranches(repoPath, commits, { refs, since }) {
+  const selectedRefs = await listSelectedRefs(repoPath, refs);
+  const branchesOf = await mapRefMembership(
+    repoPath,
+    selectedRefs,
+    commits.map((c) => c.hash),
+    since,
+  );
 
-    current.push(c);
-    curLen += approxLen;
+  const patchIds = await computePatchIds(
+    repoPath,
+    commits.map((c) => c.hash),
+  );
+  const head = selectedRefs[0].name;
+  const groups = new Map();
+  for (const c of commits) {
+    const key = patchIds.get(c.hash) || c.hash;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(c);
   }
 
-  if (current.length) batches.push(current);
-  return batches;
+  const kept = [];
+  for (const [key, copies] of groups) {
+    const onHead = copies.filter((c) =>
+      branchesOf.get(c.hash)?.includes(head),
+    );
+    const pick = (onHead.length ? onHead : copies).reduce((a, b) =>
+      b.date < a.date ? b : a,
+    );
+    const branches = [
+      ...new Set(copies.flatMap((c) => branchesOf.get(c.hash) || [])),
+    ];
+    kept.push({
+      ...pick,
+      branches,
+      ...(patchIds.has(pick.hash) ? { patchId: key } : {}),
+      ...(copies.length > 1
+        ? {
+            duplicates: copies
+              .filter((c) => c !== pick)
+              .map((c) => c.hash),
+          }
+        : {}),
+    });
+  }
+  return kept.sort((a, b) => b.date - a.date);
 }
 
-// ----------- LLM CLIENTS (REST) -----------
-
-const GEMINI_BASE = "https://generativelanguage.googleapis.com/v1beta/models";
-const OPENAI_BASE = "https://api.openai.com/v1";
-const ANTHROPIC_BASE = "https://api.anthropic.com/v1";
+// ----------- SQUASH MERGES -----------
+
+// A squash merge leaves one commit on the main branch, often authored by
+// whoever (or whatever bot) merged the PR, while the person's commits stay on
+// a branch that never reaches main. A commit on main is attributed to them
+// when it has the patch-id of one of their unmerged commits or of a whole
+// branch of them, or when the PR number in its subject points at a PR ref or
+// branch with their commits. A Co-authored-by trailer naming them is recorded
+// as a match too, but is not enough on its own: that is a co-authored commit.
+
+const PR_SUBJECT_RE = /\(#(\d+)\)\s*$/;
+const PR_REF_RE =
+  /^refs\/(?:pull\/(\d+)\/head|remotes\/[^/]+\/(?:pr|pull)\/(\d+)(?:\/head)?)$/;
+
+// --main-branch, else what origin/HEAD points to, else the usual names
+async function resolveMainBranch(repoPath, mainBranch) {
+  const candidates = [];
+  if (mainBranch) candidates.push(mainBranch);
+  else {
+    try {
+      const ref = await execGit(
+        ["symbolic-ref", "--short", "refs/remotes/origin/HEAD"],
+        repoPath,
+      );
+      candidates.push(ref.trim());
+    } catch {}
+    candidates.push("main", "master", "origin/main", "origin/master");
+  }
+  for (const name of candidates) {
+    try {
+      await execGit(
+        ["rev-parse", "--verify", "--quiet", `${name}^{commit}`],
+        repoPath,
+      );
+      return name;
+    } catch {}
+  }
+  return null;
+}
 
-const DEFAULT_MODELS = {
-  gemini: "gemini-2.5-flash-lite",
-  gpt: "gpt-4o-mini",
-  claude: "claude-3-5-sonnet-20240620",
-};
+// Branches changing more lines than this are not diffed for a patch-id.
+const SQUASH_BRANCH_MAX_LINES = 20000;
+
+// patch-id of everything a branch adds since it forked from main, which is
+// what a squash merge of it applies
+async function branchPatchId(repoPath, mainRef, ref) {
+  const base = (await execGit(["merge-base", mainRef, ref], repoPath)).trim();
+  const numstat = await execGit(["diff", "--numstat", base, ref], repoPath);
+  let lines = 0;
+  for (const row of numstat.split("\n")) {
+    const [added, removed] = row.split("\t");
+    lines += (Number(added) || 0) + (Number(removed) || 0);
+  }
+  if (lines > SQUASH_BRANCH_MAX_LINES) return null;
+  const diff = await execGit(["diff", "--no-color", base, ref], repoPath);
+  if (!diff.trim()) return null;
+  const out = await execGitInput(["patch-id", "--stable"], repoPath, diff);
+  return out.trim().split(/\s+/)[0] || null;
+}
 
-const MODEL_CHOICES = {
-  gemini: [
-    "gemini-2.5-flash-lite",
-    "gemini-2.5-flash",
-    "gemini-2.0-flash",
-    "gemini-1.5-pro",
-  ],
-  gpt: ["gpt-4o-mini", "gpt-4o", "gpt-4.1-mini", "gpt-4.1"],
-  claude: [
-    "claude-3-5-sonnet-20240620",
-    "claude-3-5-haiku-20241022",
-    "claude-3-opus-20240229",
-  ],
-};
+// Returns the commits with matched squash merges added as role "author" and
+// the branch commits they stand for folded into their `squash` record. A ref
+// that cannot be compared with main (unrelated history, shallow clone) is
+// skipped and reported in `warnings`.
+async function detectSquashMerges(
+  repoPath,
+  commits,
+  { emails, authorNames, since, until, includeMerges, mainBranch, refs },
+) {
+  const mainRef = await resolveMainBranch(repoPath, mainBranch);
+  if (!mainRef) {
+    return { commits, mainRef: null, matched: 0, folded: 0, warnings: [] };
+  }
+  const warnings = [];
+
+  const mine = new Map(
+    (
+      await getCommits(repoPath, emails, null, null, false, 0, authorNames, {
+        all: true,
+      })
+    ).map((c) => [c.hash, c]),
+  );
 
-const PROVIDER_MENU = [
-  { label: "Gemini (Google)", value: "gemini" },
-  { label: "ChatGPT (OpenAI)", value: "gpt" },
-  { label: "Claude (Anthropic)", value: "claude" },
-];
+  // Mirrors can carry thousands of refs/pull/*, so refs are walked one by one
+  // only when a single walk over all of them shows they hold the person's
+  // unmerged commits: as the ref git reached such a commit through, or as
+  // the ref's tip.
+  const refsOut = await execGit(
+    [
+      "for-each-ref",
+      "--format=%(objectname) %(refname) %(refname:short)",
+      "refs/heads",
+      "refs/remotes",
+      "refs/pull",
+    ],
+    repoPath,
+  );
+  const fullNames = new Map();
+  const tips = [];
+  for (const line of refsOut.split("\n")) {
+    const [tip, ref, short] = line.trim().split(" ");
+    if (!ref || ref.endsWith("/HEAD")) continue;
+    fullNames.set(ref, ref).set(short, ref);
+    tips.push([tip, ref]);
+  }
+  const walked = await execGit(
+    [
+      "log",
+      "--no-merges",
+      "--source",
+      "--format=%H %S",
+      "--branches",
+      "--remotes",
+      "--glob=refs/pull/*",
+      "--not",
+      mainRef,
+    ],
+    repoPath,
+  );
+  const unmergedHashes = new Set();
+  const ownRefs = new Set();
+  for (const line of walked.split("\n")) {
+    const [hash, source] = line.trim().split(" ");
+    if (!mine.has(hash)) continue;
+    unmergedHashes.add(hash);
+    if (fullNames.has(source)) ownRefs.add(fullNames.get(source));
+  }
+  for (const [tip, ref] of tips) {
+    if (unmergedHashes.has(tip)) ownRefs.add(ref);
+  }
+
+  // the person's commits on each of those refs that are not on main
+  const branchCommits = new Map();
+  const branchTips = new Map();
+  for (const [tip, ref] of tips) {
+    if (!ownRefs.has(ref)) continue;
+    let hashes;
+    try {
+      hashes = await execGit(
+        ["rev-list", "--no-merges", ref, "--not", mainRef],
+        repoPath,
+      );
+    } catch (e) {
+      warnings.push(`${ref}: ${e.message}`);
+      continue;
+    }
+    const own = hashes
+      .split("\n")
+      .map((h) => mine.get(h.trim()))
+      .filter(Boolean);
+    if (own.length) branchCommits.set(ref, own);
+    if (mine.has(tip)) branchTips.set(ref, mine.get(tip));
+  }
+  const unmerged = new Map(
+    [...branchCommits.values()].flat().map((c) => [c.hash, c]),
+  );
+
+  const byPatchId = new Map();
+  const addTo = (map, key, list) => {
+    if (!key) return;
+    if (!map.has(key)) map.set(key, new Map());
+    for (const c of list) map.get(key).set(c.hash, c);
+  };
+  const ownIds = await computePatchIds(repoPath, [...unmerged.keys()]);
+  for (const [hash, id] of ownIds) addTo(byPatchId, id, [unmerged.get(hash)]);
+  // PR numbers come from PR refs, or from a "(#N)" subject on the branch tip
+  // when the person's branch was already renamed after its PR
+  const byPr = new Map();
+  for (const [ref, own] of branchCommits) {
+    try {
+      addTo(byPatchId, await branchPatchId(repoPath, mainRef, ref), own);
+    } catch (e) {
+      warnings.push(`${ref}: ${e.message}`);
+    }
+    const pr = PR_REF_RE.exec(ref);
+    if (pr) addTo(byPr, pr[1] || pr[2], own);
+    const tipPr = PR_SUBJECT_RE.exec(branchTips.get(ref)?.message || "");
+    if (tipPr) addTo(byPr, tipPr[1], own);
+  }
+
+  // commits on main that are not already collected as authored or
+  // co-authored
+  const args = [
+    "log",
+    "--use-mailmap",
+    `--pretty=format:${COMMIT_LOG_FORMAT}`,
+    "--date=iso",
+  ];
+  if (!includeMerges) args.push("--no-merges");
+  if (since) args.push(`--since=${since}`);
+  if (until) args.push(`--until=${until}`);
+  args.push(mainRef);
+  const collected = new Map(commits.map((c) => [c.hash, c]));
+  const candidates = parseCommitLog(await execGit(args, repoPath)).filter(
+    (c) => !collected.has(c.hash),
+  );
+  const candidateIds = await computePatchIds(
+    repoPath,
+    candidates.map((c) => c.hash),
+  );
+
+  const attributed = [];
+  const coAuthored = [];
+  const folded = new Set();
+  for (const c of candidates) {
+    const matchedBy = [];
+    const sources = new Map();
+    const match = (method, found) => {
+      if (!found?.size) return;
+      matchedBy.push(method);
+      for (const [hash, b] of found) sources.set(hash, b);
+    };
+    match("patch-id", byPatchId.get(candidateIds.get(c.hash)));
+    const pr = PR_SUBJECT_RE.exec(c.message)?.[1];
+    if (pr) match("pr", byPr.get(pr));
+    const coAuthor = c.trailers?.coAuthors?.some((p) =>
+      isPerson(p, emails, authorNames),
+    );
+    if (!matchedBy.length) {
+      // on main but not on the branches getCommits read
+      if (coAuthor) coAuthored.push({ ...c, role: "co-author" });
+      continue;
+    }
+    if (coAuthor) matchedBy.push("co-author");
+
+    const own = [...sources.values()].sort((a, b) => a.date - b.date);
+    for (const b of own) folded.add(b.hash);
+    attributed.push({
+      ...c,
+      authorName: own[0].authorName,
+      authorEmail: own[0].authorEmail,
+      role: "author",
+      squash: {
+        mainBranch: mainRef,
+        matchedBy,
+        ...(pr ? { pr: Number(pr) } : {}),
+        mergedBy: `${c.authorName} <${c.authorEmail}>`,
+        branchCommits: own.map((b) => ({
+          hash: b.hash,
+          message: b.message,
+          date: b.date,
+        })),
+      },
+    });
+  }
+
+  // added commits get `branches` like the ones annotateBranches saw
+  const added = [...attributed, ...coAuthored];
+  if (hasRefSelection(refs) && added.length) {
+    const branchesOf = await mapRefMembership(
+      repoPath,
+      await listSelectedRefs(repoPath, refs),
+      added.map((c) => c.hash),
+      since,
+    );
+    for (const c of added) c.branches = branchesOf.get(c.hash) || [];
+  }
+
+  const replaced = new Set(attributed.map((c) => c.hash));
+  const kept = commits.filter(
+    (c) => !replaced.has(c.hash) && !folded.has(c.hash),
+  );
+  return {
+    commits: [...kept, ...added].sort((a, b) => b.date - a.date),
+    mainRef,
+    matched: attributed.length,
+    folded: folded.size,
+    warnings,
+  };
+}
+
+function summarizeSquashMerges(commits) {
+  const summary = { squashCommits: 0, branchCommits: 0, byMethod: {} };
+  for (const c of commits) {
+    if (!c.squash) continue;
+    summary.squashCommits++;
+    summary.branchCommits += c.squash.branchCommits.length;
+    for (const method of c.squash.matchedBy) {
+      summary.byMethod[method] = (summary.byMethod[method] || 0) + 1;
+    }
+  }
+  return summary;
+}
+
+// ----------- DIFF SNIPPETS -----------
+
+// When a diff is over budget the snippet starts with an overview of every
+// changed file (+/- counts and the function/class names git puts in hunk
+// headers), then spends the remaining bytes on file contents. Each file gets
+// a share proportional to its size times the weight of its kind, so source
+// changes are shown before tests and config.
+
+const SNIPPET_FILE_WEIGHTS = { source: 3, docs: 1, test: 1, config: 0.5 };
+const SNIPPET_MAX_SIGNATURES = 4;
+// the overview may use at most this share of the budget; the rest is elided
+const SNIPPET_OVERVIEW_SHARE = 0.4;
+// room for the "... (N more lines in this file)" note of a shortened file
+const SNIPPET_OMITTED_NOTE_BYTES = 40;
+const TRUNCATED_MARKER =
+  "/* TRUNCATED: exceeded per-commit or per-repo diff limit */";
+
+function classifyDiffFile(file) {
+  const name = file.toLowerCase();
+  if (
+    /(^|\/)(tests?|__tests__|spec|e2e)\//.test(name) ||
+    /[._-](test|spec)\.\w+$/.test(name)
+  ) {
+    return "test";
+  }
+  if (/\.(md|mdx|rst|adoc|txt)$/.test(name)) return "docs";
+  if (
+    /\.(json|ya?ml|toml|ini|cfg|conf|env|properties|xml|lock)$/.test(name) ||
+    /\.config\.\w+$/.test(name) ||
+    /(^|\/)\.[^/]+$/.test(name)
+  ) {
+    return "config";
+  }
+  return "source";
+}
+
+function parseDiffFiles(diffText) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  for (const line of diffText.split("\n")) {
+    if (line.startsWith("diff --git ")) {
+      const bPath = line.split(" ")[3]?.replace(/^b\//, "");
+      file = {
+        path: bPath || line.slice("diff --git ".length),
+        header: [line],
+        hunks: [],
+        added: 0,
+        removed: 0,
+      };
+      hunk = null;
+      files.push(file);
+    } else if (!file) {
+      continue;
+    } else if (line.startsWith("@@")) {
+      hunk = { header: line, lines: [] };
+      file.hunks.push(hunk);
+    } else if (hunk) {
+      hunk.lines.push(line);
+      if (line.startsWith("+")) file.added++;
+      else if (line.startsWith("-")) file.removed++;
+    } else if (!line.startsWith("index ")) {
+      // keep mode/rename/binary lines, drop the blob ids
+      file.header.push(line);
+    }
+  }
+  for (const f of files) {
+    f.kind = classifyDiffFile(f.path);
+    f.bytes = Buffer.byteLength(renderDiffFile(f, Infinity) + "\n");
+  }
+  return files;
+}
+
+function hunkSignature(hunkHeader) {
+  return hunkHeader.replace(/^@@[^@]*@@\s*/, "").trim();
+}
+
+function renderDiffFile(file, maxBytes) {
+  const out = [];
+  let used = 0;
+  const fits = (line) => {
+    const bytes = Buffer.byteLength(line + "\n");
+    if (used + bytes > maxBytes) return false;
+    used += bytes;
+    out.push(line);
+    return true;
+  };
+
+  if (!fits(file.header[0])) return "";
+  for (const line of file.header.slice(1)) fits(line);
+  let omittedLines = 0;
+  for (const hunk of file.hunks) {
+    if (omittedLines || !fits(hunk.header)) {
+      omittedLines += hunk.lines.length;
+      continue;
+    }
+    for (let i = 0; i < hunk.lines.length; i++) {
+      if (!fits(hunk.lines[i])) {
+        omittedLines += hunk.lines.length - i;
+        break;
+      }
+    }
+  }
+  if (omittedLines) out.push(`... (${omittedLines} more lines in this file)`);
+  return out.join("\n");
+}
+
+// Files smaller than their share keep everything; what they leave over is
+// shared again among the rest.
+function allocateSnippetBytes(files, budget) {
+  const allowance = new Map();
+  let remaining = budget;
+  let open = [...files];
+  const weightOf = (f) => f.bytes * SNIPPET_FILE_WEIGHTS[f.kind];
+  while (open.length && remaining > 0) {
+    const totalWeight = open.reduce((sum, f) => sum + weightOf(f), 0);
+    const shareOf = (f) => Math.floor((remaining * weightOf(f)) / totalWeight);
+    const small = open.filter((f) => f.bytes <= shareOf(f));
+    if (!small.length) {
+      for (const f of open) allowance.set(f, shareOf(f));
+      break;
+    }
+    for (const f of small) {
+      allowance.set(f, f.bytes);
+      remaining -= f.bytes;
+    }
+    open = open.filter((f) => !small.includes(f));
+  }
+  return allowance;
+}
+
+function buildDiffOverview(files, maxBytes) {
+  const added = files.reduce((sum, f) => sum + f.added, 0);
+  const removed = files.reduce((sum, f) => sum + f.removed, 0);
+  const lines = [
+    `# ${files.length} files changed, +${added} -${removed} (shortened: source first, tests/config last)`,
+  ];
+  let used = Buffer.byteLength(lines[0] + "\n");
+  for (let i = 0; i < files.length; i++) {
+    const f = files[i];
+    const signatures = [
+      ...new Set(f.hunks.map((h) => hunkSignature(h.header)).filter(Boolean)),
+    ].slice(0, SNIPPET_MAX_SIGNATURES);
+    const line = `#   ${f.path} +${f.added} -${f.removed}${
+      signatures.length ? `  [${signatures.join(" | ")}]` : ""
+    }`;
+    const bytes = Buffer.byteLength(line + "\n");
+    if (used + bytes > maxBytes) {
+      lines.push(`#   ... ${files.length - i} more files`);
+      break;
+    }
+    lines.push(line);
+    used += bytes;
+  }
+  return lines.join("\n");
+}
+
+function buildDiffSnippet(diffText, maxBytes, truncateReason) {
+  if (!diffText) {
+    return {
+      snippet: "",
+      bytesUsed: 0,
+      truncated: false,
+      truncateReason: null,
+    };
+  }
+
+  const totalBytes = Buffer.byteLength(diffText);
+  if (totalBytes <= maxBytes) {
+    return {
+      snippet: diffText,
+      bytesUsed: totalBytes,
+      truncated: false,
+      truncateReason: null,
+    };
+  }
+
+  const files = parseDiffFiles(diffText);
+  const overview = buildDiffOverview(
+    files,
+    Math.floor(maxBytes * SNIPPET_OVERVIEW_SHARE),
+  );
+  const allowance = allocateSnippetBytes(
+    files,
+    maxBytes -
+      Buffer.byteLength(`${overview}\n${TRUNCATED_MARKER}`) -
+      files.length * SNIPPET_OMITTED_NOTE_BYTES,
+  );
+  const ordered = [...files].sort(
+    (a, b) => SNIPPET_FILE_WEIGHTS[b.kind] - SNIPPET_FILE_WEIGHTS[a.kind],
+  );
+  const blocks = ordered
+    .map((f) => renderDiffFile(f, allowance.get(f) || 0))
+    .filter(Boolean);
+  const snippet = [overview, ...blocks, TRUNCATED_MARKER].join("\n");
+
+  return {
+    snippet,
+    bytesUsed: Buffer.byteLength(snippet),
+    truncated: true,
+    truncateReason: truncateReason || "per-commit",
+  };
+}
+
+// ----------- REDACTION -----------
+
+// Secrets and personal data are replaced before a diff or commit message is
+// stored or sent to a provider. A rule's `secret` named group, when present,
+// limits the replacement to that part of the match so the key name stays
+// visible to the LLM ("API_KEY=[REDACTED:env-secret]").
+
+const REDACTION_RULES = [
+  {
+    name: "private-key",
+    pattern:
+      /-----BEGIN [A-Z ]*PRIVATE KEY( BLOCK)?-----[\s\S]*?(-----END [A-Z ]*PRIVATE KEY( BLOCK)?-----|$)/g,
+  },
+  { name: "aws-access-key", pattern: /\b(AKIA|ASIA|ABIA|ACCA)[A-Z0-9]{16}\b/g },
+  {
+    name: "aws-secret-key",
+    pattern:
+      /aws_?secret_?(access_?)?key["']?\s*[:=]\s*["']?(?<secret>[A-Za-z0-9/+=]{40})/gi,
+  },
+  {
+    name: "jwt",
+    pattern: /\beyJ[\w-]{5,}\.eyJ[\w-]{5,}\.[\w-]{10,}/g,
+  },
+  {
+    name: "token",
+    pattern:
+      /\b(gh[pousr]_[A-Za-z0-9]{36,}|github_pat_\w{40,}|xox[abprs]-[\w-]{10,}|sk-[\w-]{20,}|AIza[\w-]{35})\b/g,
+  },
+  {
+    // KEY=value lines as in .env files and shell exports
+    name: "env-secret",
+    pattern:
+      /^[+ -]?\s*(export\s+)?\w*(KEY|SECRET|TOKEN|PASSWORD|PASSWD|PWD|CREDENTIALS?)\w*\s*=\s*(?<secret>[^\s#"']{4,})/gm,
+  },
+  {
+    // quoted literals only, so `password = req.body.password` stays readable;
+    // the keyword has to end the name, so `tokenizer` or `apiKeyHeader` do not
+    name: "secret-assignment",
+    pattern:
+      /\w*(api_?key|secret|token|passw(or)?d|credentials?)\b["']?\s*[:=]\s*(["'`])(?<secret>[^"'`\s]{6,})\3/gi,
+  },
+  {
+    name: "high-entropy",
+    pattern: /(?<![\w/+=-])[A-Za-z0-9/+=_-]{32,}(?![\w/+=-])/g,
+    test: isHighEntropy,
+  },
+  {
+    name: "email",
+    pattern: /\b[\w.%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+  },
+  {
+    // standalone dotted quads: not part of a longer dotted number, a word or
+    // a version ("v1.2.3.4", "version: 1.2.3.4", "pkg@1.2.3.4", "==1.2.3.4",
+    // "^1.2.3.4")
+    name: "ipv4",
+    pattern:
+      /(?<![\w.@~^-]|[=<>]=|\bv|version["']?\s*[:=]?\s*["']?)(?<secret>(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d))(?![\w-]|\.\d)/gi,
+    // loopback, "any" and netmask addresses are not personal data
+    test: (value) => !/^(127\.|0\.0\.0\.0$|255\.255\.255\.)/.test(value),
+  },
+];
+
+// Random base62/base64 tokens of 32+ characters score about 4.6; long
+// camelCase identifiers with digits stay around 4.3 or below.
+const HIGH_ENTROPY_BITS_PER_CHAR = 4.4;
+
+// Random tokens mix upper case, lower case and digits; identifiers, paths and
+// hex digests (commit hashes) do not, so they are left alone.
+function isHighEntropy(value) {
+  if (!/[a-z]/.test(value) || !/[A-Z]/.test(value) || !/\d/.test(value)) {
+    return false;
+  }
+  const freq = new Map();
+  for (const ch of value) freq.set(ch, (freq.get(ch) || 0) + 1);
+  let bits = 0;
+  for (const n of freq.values()) {
+    const p = n / value.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits >= HIGH_ENTROPY_BITS_PER_CHAR;
+}
+
+// Custom rules file:
+// { "rules": [{ "name", "pattern", "flags"?, "placeholder"? }], "disable": [] }
+// Custom rules run before the built-in ones; `disable` turns built-ins off.
+async function loadRedactionRules(filename) {
+  if (!filename) return REDACTION_RULES;
+  const config = JSON.parse(await fs.readFile(filename, "utf8"));
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error('expected an object with "rules" and/or "disable"');
+  }
+  const disabled = new Set(config.disable || []);
+  const known = new Set(REDACTION_RULES.map((r) => r.name));
+  for (const name of disabled) {
+    if (!known.has(name)) throw new Error(`unknown built-in rule "${name}"`);
+  }
+  const custom = (config.rules || []).map((rule, i) => {
+    if (!rule?.name || typeof rule.pattern !== "string") {
+      throw new Error(`rules[${i}] needs a "name" and a "pattern" string`);
+    }
+    let pattern;
+    try {
+      const flags = rule.flags ?? "g";
+      pattern = new RegExp(
+        rule.pattern,
+        flags.includes("g") ? flags : `${flags}g`,
+      );
+    } catch (e) {
+      throw new Error(`rules[${i}] (${rule.name}): ${e.message}`);
+    }
+    return { name: rule.name, pattern, placeholder: rule.placeholder };
+  });
+  return [...custom, ...REDACTION_RULES.filter((r) => !disabled.has(r.name))];
+}
+
+function createRedactor(rules) {
+  const redact = (text) => {
+    const counts = {};
+    if (!text) return { text, counts };
+    let out = text;
+    const placeholders = new Set();
+    for (const rule of rules) {
+      const placeholder = rule.placeholder || `[REDACTED:${rule.name}]`;
+      placeholders.add(placeholder);
+      out = out.replace(rule.pattern, (match, ...rest) => {
+        const groups = typeof rest.at(-1) === "object" ? rest.at(-1) : null;
+        const secret = groups?.secret ?? match;
+        // an earlier rule already replaced this value
+        if (placeholders.has(secret)) return match;
+        if (rule.test && !rule.test(secret)) return match;
+        counts[rule.name] = (counts[rule.name] || 0) + 1;
+        const at = match.lastIndexOf(secret);
+        return (
+          match.slice(0, at) + placeholder + match.slice(at + secret.length)
+        );
+      });
+    }
+    return { text: out, counts };
+  };
+  return { redact };
+}
+
+// The message plus what raw.json stores about other people: trailer emails
+// and, for squash merges, the merger and the folded branch commits.
+function redactCommitText(c, redactor) {
+  const counts = [];
+  const run = (text) => {
+    const result = redactor.redact(text);
+    counts.push(result.counts);
+    return result.text;
+  };
+  c.message = run(c.message);
+  for (const people of Object.values(c.trailers || {})) {
+    for (const person of people) person.email = run(person.email);
+  }
+  if (c.squash) {
+    c.squash.mergedBy = run(c.squash.mergedBy);
+    for (const b of c.squash.branchCommits) b.message = run(b.message);
+  }
+  c.redactions = mergeRedactionCounts(...counts);
+}
+
+function summarizeRedactions(commits) {
+  const redacted = commits.filter((c) => c.redactions);
+  const byRule = mergeRedactionCounts(...redacted.map((c) => c.redactions));
+  return {
+    values: Object.values(byRule).reduce((sum, n) => sum + n, 0),
+    commits: redacted.filter((c) => Object.keys(c.redactions).length).length,
+    byRule,
+  };
+}
+
+function mergeRedactionCounts(...all) {
+  const merged = {};
+  for (const counts of all) {
+    for (const [name, n] of Object.entries(counts || {})) {
+      merged[name] = (merged[name] || 0) + n;
+    }
+  }
+  return merged;
+}
+
+// ----------- DIFF COLLECTION -----------
+
+const PER_COMMIT_MAX_DIFF_BYTES = 12000;
+
+async function collectRepoDiffs(
+  repo,
+  { maxDiffBytes, fullDiff, diffPaths, redactor, colorize, recordRepoError },
+) {
+  let repoIgnore = null;
+  try {
+    repoIgnore = await readIgnoreFile(repo.path, DIFF_IGNORE_FILE);
+  } catch (e) {
+    recordRepoError(repo.name, `${DIFF_IGNORE_FILE}: ${e.message}`);
+  }
+  if (repoIgnore) {
+    console.log(
+      colorize(`Using ${path.join(repo.path, DIFF_IGNORE_FILE)}`, "gray"),
+    );
+  }
+  const pathFilter = createDiffPathFilter({
+    ...diffPaths,
+    ignoreFiles: [diffPaths.rootIgnore, repoIgnore],
+  });
+  const repoCommits = [];
+  let remainingBytes = maxDiffBytes;
+  for (const c of repo.commits) {
+    console.log(
+      colorize(
+        `Collecting diff ${repo.name}@${shortHash(c.hash)} (${c.date
+          .toISOString()
+          .slice(0, 10)})...`,
+        "gray",
+      ),
+    );
+    let diff = "";
+    let diffError = null;
+    let diffRedactions = {};
+    let stats = null;
+    let pathspec = pathFilter.pathspec;
+    try {
+      pathspec = await resolveCommitPathspec(repo.path, c.hash, pathFilter);
+    } catch (e) {
+      recordRepoError(repo.name, `files ${shortHash(c.hash)}: ${e.message}`);
+    }
+    try {
+      stats = pathspec
+        ? await getCommitStats(repo.path, c.hash, pathspec)
+        : parseNumstat("");
+    } catch (e) {
+      recordRepoError(repo.name, `numstat ${shortHash(c.hash)}: ${e.message}`);
+    }
+    let snippetInfo = {
+      snippet: "",
+      bytesUsed: 0,
+      truncated: false,
+      truncateReason: null,
+    };
+
+    if (remainingBytes <= 0) {
+      snippetInfo = {
+        snippet: TRUNCATED_MARKER,
+        bytesUsed: 0,
+        truncated: true,
+        truncateReason: "per-repo",
+      };
+    } else if (pathspec) {
+      try {
+        diff = await getDiffForCommit(repo.path, c.hash, pathspec);
+      } catch (e) {
+        diffError = e.message;
+        recordRepoError(repo.name, `diff ${shortHash(c.hash)}: ${e.message}`);
+      }
+
+      if (diff && redactor) {
+        ({ text: diff, counts: diffRedactions } = redactor.redact(diff));
+      }
+
+      if (diff) {
+        const maxBytes = Math.min(PER_COMMIT_MAX_DIFF_BYTES, remainingBytes);
+        const reason =
+          remainingBytes < PER_COMMIT_MAX_DIFF_BYTES ? "per-repo" : "per-commit";
+        snippetInfo = buildDiffSnippet(diff, maxBytes, reason);
+        remainingBytes = Math.max(0, remainingBytes - snippetInfo.bytesUsed);
+      }
+    }
+
+    const files = extractFilePathsFromDiff(
+      diff || snippetInfo.snippet,
+      pathFilter,
+    );
+
+    repoCommits.push({
+      repoName: repo.name,
+      repoPath: repo.path,
+      hash: c.hash,
+      date: c.date,
+      message: c.message,
+      authorName: c.authorName,
+      authorEmail: c.authorEmail,
+      ...(c.originalAuthor ? { originalAuthor: c.originalAuthor } : {}),
+      // older checkpoints predate co-author collection
+      role: c.role || "author",
+      ...(c.trailers ? { trailers: c.trailers } : {}),
+      ...(c.branches ? { branches: c.branches } : {}),
+      ...(c.patchId ? { patchId: c.patchId } : {}),
+      ...(c.duplicates ? { duplicates: c.duplicates } : {}),
+      ...(c.squash ? { squash: c.squash } : {}),
+      typeHint: c.typeHint,
+      diffSnippet: snippetInfo.snippet,
+      diffBytes: snippetInfo.bytesUsed,
+      diffTruncated: snippetInfo.truncated,
+      diffTruncateReason: snippetInfo.truncateReason,
+      diffError,
+      files,
+      stats,
+      ...(redactor
+        ? { redactions: mergeRedactionCounts(c.redactions, diffRedactions) }
+        : {}),
+      ...(fullDiff && diff ? { diffFull: diff } : {}),
+    });
+  }
+  return repoCommits;
+}
+
+// ----------- REPO SELECTION -----------
+
+async function selectReposInteractive(reposWithCommits, isInteractive) {
+  if (!isInteractive) return reposWithCommits;
+  console.log("\nRepositories with matching commits:\n");
+  reposWithCommits.forEach((r, idx) => {
+    console.log(`[${idx + 1}] ${r.name}  (${r.commits.length} commits)`);
+  });
+  console.log("");
+
+  const ans = await ask("Select repos (e.g. 1,3,5) or press Enter for ALL: ");
+  const trimmed = ans.trim();
+  if (!trimmed) return reposWithCommits;
+
+  const idxs = trimmed
+    .split(",")
+    .map((s) => parseInt(s.trim(), 10))
+    .filter((n) => !Number.isNaN(n) && n >= 1 && n <= reposWithCommits.length);
+
+  if (!idxs.length) return reposWithCommits;
+
+  return idxs.map((i) => reposWithCommits[i - 1]);
+}
+
+// ----------- BATCHING -----------
+
+// Rough BPE-style estimate: latin words split into ~4-char pieces, digit runs
+// into ~3-char pieces, and every symbol or non-latin character is its own
+// token. Diffs are symbol-heavy, so this errs on the high side, which is the
+// safe direction for a budget.
+function estimateTokens(text) {
+  if (!text) return 0;
+  const pieces = String(text).match(/[A-Za-z]+|\d+|[^\sA-Za-z\d]/g) || [];
+  let tokens = 0;
+  for (const piece of pieces) {
+    const ch = piece.charCodeAt(0);
+    if (ch >= 48 && ch <= 57) tokens += Math.ceil(piece.length / 3);
+    else if (piece.length > 1 || /[A-Za-z]/.test(piece)) {
+      tokens += Math.ceil(piece.length / 4);
+    } else tokens += 1;
+  }
+  return tokens;
+}
+
+// Expected JSON output per commit ({hash, type, summary}); used to keep a
+// batch's answer within the model's max output tokens.
+const OUTPUT_TOKENS_PER_COMMIT = 80;
+// Per-commit framing added by buildPrompt (markers, hash, repo, date, ...).
+const PROMPT_TOKENS_PER_COMMIT = 60;
+// Leave headroom for estimateTokens being off.
+const TOKEN_BUDGET_SAFETY = 0.9;
+// Models with huge output limits would otherwise get hundreds of commits in
+// one prompt, and one bad answer would then lose all of them.
+const MAX_COMMITS_PER_BATCH = 50;
+
+// How many prompt tokens one analysis batch may use, given the model limits.
+function computeBatchBudget(limits) {
+  const overhead = estimateTokens(buildPrompt([]));
+  const contextTokens = limits.contextTokens;
+  // reserve room for the answer, but never more than half the window
+  const reserved = Math.min(
+    limits.maxOutputTokens,
+    Math.floor(contextTokens / 2),
+  );
+  const inputTokens = limits.batchTokens
+    ? limits.batchTokens
+    : Math.floor((contextTokens - reserved) * TOKEN_BUDGET_SAFETY) - overhead;
+  return {
+    inputTokens: Math.max(inputTokens, 256),
+    maxCommits: Math.min(
+      MAX_COMMITS_PER_BATCH,
+      Math.max(
+        1,
+        Math.floor(limits.maxOutputTokens / OUTPUT_TOKENS_PER_COMMIT),
+      ),
+    ),
+  };
+}
+
+function estimateCommitTokens(c) {
+  return (
+    estimateTokens(c.message) +
+    estimateTokens(c.diffSnippet) +
+    PROMPT_TOKENS_PER_COMMIT
+  );
+}
+
+// A single commit bigger than the whole budget gets its snippet cut down so
+// small-context models are not sent a prompt they will silently truncate.
+// The copy keeps `fittedFrom` so the analysis cache keys it like the original.
+function fitCommitToBudget(c, inputTokens) {
+  const tokens = estimateCommitTokens(c);
+  if (tokens <= inputTokens || !c.diffSnippet) return { commit: c, tokens };
+
+  let snippet = c.diffSnippet;
+  const room = Math.max(
+    inputTokens - estimateTokens(c.message) - PROMPT_TOKENS_PER_COMMIT,
+    0,
+  );
+  while (snippet && estimateTokens(snippet) > room) {
+    const ratio = room / Math.max(estimateTokens(snippet), 1);
+    snippet = snippet.slice(
+      0,
+      Math.floor(snippet.length * Math.min(ratio, 0.9)),
+    );
+  }
+  const commit = {
+    ...c,
+    fittedFrom: c.fittedFrom || c,
+    diffSnippet: snippet
+      ? `${snippet}\n... [diff truncated to fit the model context]`
+      : "",
+  };
+  return { commit, tokens: estimateCommitTokens(commit) };
+}
+
+function chunkCommits(enrichedCommits, budget) {
+  const batches = [];
+  let current = [];
+  let curTokens = 0;
+
+  for (const c of enrichedCommits) {
+    const { commit, tokens } = fitCommitToBudget(c, budget.inputTokens);
+
+    if (
+      current.length &&
+      (curTokens + tokens > budget.inputTokens ||
+        current.length >= budget.maxCommits)
+    ) {
+      batches.push(current);
+      current = [];
+      curTokens = 0;
+    }
+
+    current.push(commit);
+    curTokens += tokens;
+  }
+
+  if (current.length) batches.push(current);
+  return batches;
+}
+
+// ----------- ANALYSIS CACHE -----------
+
+// Bump when the analysis changes in a way the prompt text does not show, e.g.
+// how the answer is parsed.
+const ANALYSIS_PROMPT_VERSION = 2;
+const ANALYSIS_CACHE_FILE = "analysis-cache.json";
+
+function resolveCacheDir(input) {
+  if (input) return path.resolve(input);
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache");
+  return path.join(base, "git-contribution-summarizer");
+}
+
+// Keyed on the commit's own prompt text, so changes to the prompt, the diff
+// snippet (size, filters, redaction) or the message miss the cache, and on
+// the repo path rather than its display name. A commit cut down by
+// fitCommitToBudget is keyed by its original, so the lookup before batching
+// and the write after it agree.
+function analysisCacheKey({ provider, model, commit: input }) {
+  const commit = input.fittedFrom || input;
+  const prompt = createHash("sha256")
+    .update(buildPrompt([commit]))
+    .digest("hex");
+  return [
+    `v${ANALYSIS_PROMPT_VERSION}`,
+    provider,
+    model,
+    commit.repoPath,
+    commit.hash,
+    prompt,
+  ].join("|");
+}
+
+async function clearAnalysisCache(cacheDir) {
+  await fs.rm(path.join(cacheDir, ANALYSIS_CACHE_FILE), { force: true });
+}
+
+async function createAnalysisCache({ cacheDir, provider, model, enabled }) {
+  const filename = path.join(cacheDir, ANALYSIS_CACHE_FILE);
+  let entries = {};
+  if (enabled) {
+    try {
+      const parsed = JSON.parse(await fs.readFile(filename, "utf8"));
+      if (parsed?.entries && typeof parsed.entries === "object") {
+        entries = parsed.entries;
+      }
+    } catch {}
+  }
+
+  return {
+    enabled,
+    filename,
+    entries,
+    hits: 0,
+    misses: 0,
+    writes: 0,
+    get(commit) {
+      if (!this.enabled) return null;
+      const key = analysisCacheKey({ provider, model, commit });
+      const hit = this.entries[key];
+      if (hit?.type && hit?.summary) {
+        this.hits++;
+        return { type: hit.type, summary: hit.summary };
+      }
+      this.misses++;
+      return null;
+    },
+    set(commit, analysis) {
+      if (!this.enabled) return;
+      const key = analysisCacheKey({ provider, model, commit });
+      this.entries[key] = {
+        type: analysis.type,
+        summary: analysis.summary,
+        cachedAt: new Date().toISOString(),
+      };
+      this.writes++;
+    },
+    saving: Promise.resolve(),
+    save() {
+      if (!this.enabled || !this.writes) return Promise.resolve();
+      // parallel batches share one file; queue writes behind each other
+      this.saving = this.saving
+        .catch(() => {})
+        .then(() =>
+          writeJsonAtomic(this.filename, { version: 1, entries: this.entries }),
+        );
+      return this.saving;
+    },
+    stats() {
+      return {
+        enabled: this.enabled,
+        path: this.filename,
+        promptVersion: ANALYSIS_PROMPT_VERSION,
+        hits: this.hits,
+        misses: this.misses,
+      };
+    },
+  };
+}
+
+// ----------- PROGRESS DISPLAY -----------
+
+// Rough answer sizes (tokens) used for the ETA of calls whose output size
+// does not follow from their input.
+const EXPECTED_OUTPUT_TOKENS = {
+  repoSummary: 600,
+  overallSummary: 800,
+  cv: 1200,
+  performance: 1500,
+};
+
+function formatDuration(ms) {
+  const secs = Math.max(0, Math.round(ms / 1000));
+  if (secs < 60) return `${secs}s`;
+  return `${Math.floor(secs / 60)}m${String(secs % 60).padStart(2, "0")}s`;
+}
+
+// One status line at the bottom of the terminal listing every in-flight LLM
+// call: tokens streamed so far, elapsed time and an ETA from the stream rate.
+// Only used on a TTY; elsewhere calls run non-streaming and silent.
+function createProgressDisplay({ colorize, stream = process.stdout }) {
+  const tasks = new Set();
+  const original = { log: console.log, error: console.error };
+  let timer = null;
+  let shown = false;
+
+  const clear = () => {
+    if (!shown) return;
+    stream.write("\r\u001b[K");
+    shown = false;
+  };
+
+  const describe = (task) => {
+    const now = Date.now();
+    let eta = "waiting";
+    if (task.firstTokenAt) {
+      const rate = task.tokens / Math.max(now - task.firstTokenAt, 1);
+      const left = Math.max(task.expectedTokens - task.tokens, 0);
+      eta =
+        left && rate > 0 ? `ETA ~${formatDuration(left / rate)}` : "finishing";
+    }
+    return `${task.label}: ~${task.tokens} tok, ${formatDuration(
+      now - task.startedAt,
+    )}, ${eta}`;
+  };
+
+  const render = () => {
+    if (!tasks.size) return;
+    let line = Array.from(tasks).map(describe).join(" | ");
+    const width = (stream.columns || 80) - 1;
+    if (line.length > width) line = `${line.slice(0, width - 1)}…`;
+    stream.write(`\r\u001b[K${colorize(line, "gray")}`);
+    shown = true;
+  };
+
+  // other output would otherwise be appended to the status line
+  const around =
+    (fn) =>
+    (...args) => {
+      clear();
+      fn(...args);
+      render();
+    };
+
+  const begin = () => {
+    console.log = around(original.log);
+    console.error = around(original.error);
+    timer = setInterval(render, 250);
+    timer.unref?.();
+  };
+
+  const end = () => {
+    clearInterval(timer);
+    timer = null;
+    clear();
+    console.log = original.log;
+    console.error = original.error;
+  };
+
+  return {
+    start(label, expectedTokens) {
+      if (!tasks.size) begin();
+      const task = {
+        label,
+        expectedTokens: expectedTokens || 500,
+        tokens: 0,
+        startedAt: Date.now(),
+        firstTokenAt: null,
+      };
+      tasks.add(task);
+      render();
+      return {
+        update: (text) => {
+          task.firstTokenAt ??= Date.now();
+          task.tokens += estimateTokens(text);
+        },
+        reset: () => {
+          task.tokens = 0;
+          task.firstTokenAt = null;
+        },
+        done: () => {
+          tasks.delete(task);
+          if (!tasks.size) end();
+          else render();
+        },
+      };
+    },
+  };
+}
+
+// ----------- LLM CLIENTS (REST) -----------
+
+const GEMINI_BASE = "https://generativelanguage.googleapis.com/v1beta/models";
+const OPENAI_BASE = "https://api.openai.com/v1";
+const ANTHROPIC_BASE = "https://api.anthropic.com/v1";
+const OLLAMA_BASE = "http://localhost:11434";
 
 function buildPrompt(commitsBatch) {
   const blocks = commitsBatch
@@ -790,7 +2978,9 @@ function buildRepoSummaryPrompt({ repoName, commits }) {
         `COMMIT ${idx + 1}`,
         `HASH: ${c.hash}`,
         `DATE: ${c.date?.toISOString?.() || ""}`,
-        `AUTHOR: ${c.authorName || ""} <${c.authorEmail || ""}>`,
+        // names only: emails are personal data the summary does not need
+        `AUTHOR: ${c.authorName || "unknown"}`,
+        `ROLE: ${c.role || "author"}`,
         `TYPE: ${c.analysis?.type || c.typeHint || "other"}`,
         `SUBJECT: ${c.message}`,
         `SUMMARY: ${c.analysis?.summary || c.message}`,
@@ -806,6 +2996,7 @@ Rules:
 - Use ONLY the provided commit subjects, summaries, and file paths.
 - Do NOT invent metrics, tickets, or impact. If unclear, say "unclear from diff".
 - Keep outputs concise and evidence-based.
+- ROLE "co-author" means the work was pair-programmed with AUTHOR; describe it as shared work.
 
 Return ONLY a JSON object with this exact shape:
 {
@@ -909,11 +3100,192 @@ ${payload}
 `.trim();
 }
 
+// ----------- STREAMING -----------
+
+// A dropped connection (undici's "terminated") or a frame cut off mid-JSON
+// is worth retrying; classifyProviderError treats these as transient.
+function streamInterrupted(cause) {
+  const err = new Error(`stream interrupted: ${cause?.message || cause}`);
+  err.cause = cause;
+  err.streamInterrupted = true;
+  return err;
+}
+
+function parseStreamJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw streamInterrupted(e);
+  }
+}
+
+async function* readStreamLines(res) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  const chunks = res.body[Symbol.asyncIterator]();
+  while (true) {
+    let next;
+    try {
+      next = await chunks.next();
+    } catch (e) {
+      throw streamInterrupted(e);
+    }
+    if (next.done) break;
+    buffer += decoder.decode(next.value, { stream: true });
+    let idx;
+    while ((idx = buffer.indexOf("\n")) >= 0) {
+      yield buffer.slice(0, idx).replace(/\r$/, "");
+      buffer = buffer.slice(idx + 1);
+    }
+  }
+  buffer += decoder.decode();
+  if (buffer) yield buffer;
+}
+
+// Server-sent events (OpenAI, Anthropic, Gemini with alt=sse): yields the
+// parsed JSON of each event's data.
+async function* readSseData(res) {
+  let data = [];
+  const flush = () => {
+    const payload = data.join("\n");
+    data = [];
+    return payload;
+  };
+  for await (const line of readStreamLines(res)) {
+    if (line.startsWith("data:")) {
+      data.push(line.slice(5).replace(/^ /, ""));
+      continue;
+    }
+    if (line !== "" || !data.length) continue;
+    const payload = flush();
+    if (payload === "[DONE]") return;
+    yield parseStreamJson(payload);
+  }
+  const payload = flush();
+  if (payload && payload !== "[DONE]") yield parseStreamJson(payload);
+}
+
+// Newline-delimited JSON (Ollama).
+async function* readNdjson(res) {
+  for await (const line of readStreamLines(res)) {
+    if (line.trim()) yield parseStreamJson(line);
+  }
+}
+
+// Errors can arrive inside a 200 stream; shape them like buildHttpError so
+// classifyProviderError still sees a status.
+function buildStreamError(label, error, status) {
+  const message = error?.message || JSON.stringify(error);
+  const err = new Error(`${label} stream error: ${message}`);
+  if (status) err.status = status;
+  return err;
+}
+
+// ----------- STRUCTURED OUTPUT -----------
+
+// Providers get the shared schemas from RESPONSE_SCHEMAS and translate them
+// into their own structured-output format. Each translation returns null for
+// shapes the provider cannot express (e.g. by_project's free-form repo keys),
+// in which case the call falls back to plain JSON mode and the result is
+// still checked by validateSchema.
+
+function hasFreeFormKeys(schema) {
+  if (!schema || typeof schema !== "object") return false;
+  if (typeof schema.additionalProperties === "object") return true;
+  return (
+    hasFreeFormKeys(schema.items) ||
+    Object.values(schema.properties || {}).some(hasFreeFormKeys)
+  );
+}
+
+// OpenAI strict mode: every property required, no extra keys, no minLength.
+function toOpenAISchema(schema) {
+  if (hasFreeFormKeys(schema)) return null;
+  const convert = (node) => {
+    if (node.type === "object") {
+      const properties = {};
+      for (const [key, child] of Object.entries(node.properties || {})) {
+        properties[key] = convert(child);
+      }
+      return {
+        type: "object",
+        properties,
+        required: Object.keys(properties),
+        additionalProperties: false,
+      };
+    }
+    if (node.type === "array") {
+      return { type: "array", items: convert(node.items) };
+    }
+    return node.enum
+      ? { type: node.type, enum: node.enum }
+      : { type: node.type };
+  };
+  return convert(schema);
+}
+
+// Gemini response_schema is an OpenAPI subset with upper-case type names.
+function toGeminiSchema(schema) {
+  if (hasFreeFormKeys(schema)) return null;
+  const convert = (node) => {
+    const type = String(node.type).toUpperCase();
+    if (node.type === "object") {
+      const properties = {};
+      for (const [key, child] of Object.entries(node.properties || {})) {
+        properties[key] = convert(child);
+      }
+      return {
+        type,
+        properties,
+        required: node.required || [],
+        propertyOrdering: Object.keys(properties),
+      };
+    }
+    if (node.type === "array") return { type, items: convert(node.items) };
+    return node.enum ? { type, enum: node.enum } : { type };
+  };
+  return convert(schema);
+}
+
+// OpenAI json_schema and Anthropic tool input must be objects, so array
+// responses travel as { items: [...] } and are unwrapped again here.
+function wrapRootArray(schema) {
+  if (schema.type !== "array") return schema;
+  return {
+    type: "object",
+    properties: { items: schema },
+    required: ["items"],
+  };
+}
+
+function unwrapRootArray(value, schema) {
+  if (schema.type !== "array") return value;
+  return Array.isArray(value?.items) ? value.items : value;
+}
+
+// Providers report usage under different names; null when absent.
+function toUsage(inputTokens, outputTokens) {
+  if (inputTokens == null && outputTokens == null) return null;
+  return { inputTokens: inputTokens || 0, outputTokens: outputTokens || 0 };
+}
+
+function geminiUsage(meta) {
+  if (!meta) return null;
+  // 2.5 models bill thinking tokens as output
+  return toUsage(
+    meta.promptTokenCount,
+    (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0),
+  );
+}
+
 async function callGemini({
   apiKey,
   model,
   prompt,
   responseMimeType = "application/json",
+  maxOutputTokens,
+  responseSchema,
+  onDelta,
 }) {
   const body = {
     contents: [
@@ -924,12 +3296,18 @@ async function callGemini({
     ],
     generationConfig: {
       response_mime_type: responseMimeType,
+      ...(maxOutputTokens ? { maxOutputTokens } : {}),
     },
   };
+  const geminiSchema = responseSchema && toGeminiSchema(responseSchema);
+  if (geminiSchema) body.generationConfig.response_schema = geminiSchema;
 
+  const method = onDelta
+    ? "streamGenerateContent?alt=sse&"
+    : "generateContent?";
   const url = `${GEMINI_BASE}/${encodeURIComponent(
     model,
-  )}:generateContent?key=${encodeURIComponent(apiKey)}`;
+  )}:${method}key=${encodeURIComponent(apiKey)}`;
 
   const res = await fetch(url, {
     method: "POST",
@@ -938,97 +3316,592 @@ async function callGemini({
   });
 
   if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(`Gemini error ${res.status}: ${text}`);
+    throw await buildHttpError("Gemini", res);
+  }
+
+  if (onDelta) {
+    let rawText = "";
+    let usage = null;
+    for await (const chunk of readSseData(res)) {
+      if (chunk?.error) {
+        throw buildStreamError("Gemini", chunk.error, chunk.error.code);
+      }
+      // every chunk carries running totals; the last one wins
+      usage = geminiUsage(chunk?.usageMetadata) || usage;
+      const delta = extractGeminiText(chunk);
+      if (delta) {
+        rawText += delta;
+        onDelta(delta);
+      }
+    }
+    return { text: rawText, usage };
   }
 
   const data = await res.json();
-  let rawText = "";
+  return {
+    text: extractGeminiText(data),
+    usage: geminiUsage(data?.usageMetadata),
+  };
+}
 
-  if (typeof data.output_text === "string") {
-    rawText = data.output_text;
-  } else if (Array.isArray(data.candidates)) {
-    rawText = data.candidates
+function extractGeminiText(data) {
+  if (typeof data?.output_text === "string") return data.output_text;
+  if (Array.isArray(data?.candidates)) {
+    return data.candidates
       .flatMap((c) => c.content?.parts ?? [])
       .map((p) => p.text ?? "")
       .join("");
-  } else if (typeof data === "string") {
-    rawText = data;
   }
-
-  return rawText;
+  return typeof data === "string" ? data : "";
 }
 
-async function callOpenAI({ apiKey, model, prompt }) {
+async function callOpenAI({
+  apiKey,
+  model,
+  baseUrl,
+  prompt,
+  maxOutputTokens = 2000,
+  responseSchema,
+  schemaName,
+  onDelta,
+}) {
   const body = {
     model,
     messages: [{ role: "user", content: prompt }],
     temperature: 0.2,
-    max_tokens: 2000,
+    max_tokens: maxOutputTokens,
+    ...(onDelta
+      ? { stream: true, stream_options: { include_usage: true } }
+      : {}),
+  };
+  if (responseSchema) {
+    const strictSchema = toOpenAISchema(wrapRootArray(responseSchema));
+    body.response_format = strictSchema
+      ? {
+          type: "json_schema",
+          json_schema: { name: schemaName, strict: true, schema: strictSchema },
+        }
+      : { type: "json_object" };
+  }
+
+  const headers = { "Content-Type": "application/json" };
+  // self-hosted OpenAI-compatible servers often run without auth
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const base = trimTrailingSlash(baseUrl || OPENAI_BASE);
+  const res = await fetch(`${base}/chat/completions`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(body),
+  });
+
+  if (!res.ok) {
+    throw await buildHttpError("OpenAI", res);
+  }
+
+  let content = "";
+  let rawUsage = null;
+  if (onDelta) {
+    for await (const chunk of readSseData(res)) {
+      if (chunk?.error) throw buildStreamError("OpenAI", chunk.error);
+      // include_usage sends the totals in a final chunk with no choices
+      if (chunk?.usage) rawUsage = chunk.usage;
+      const delta = chunk?.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+    }
+  } else {
+    const data = await res.json();
+    content = data?.choices?.[0]?.message?.content ?? "";
+    rawUsage = data?.usage;
+  }
+  const usage = toUsage(rawUsage?.prompt_tokens, rawUsage?.completion_tokens);
+
+  if (!responseSchema || responseSchema.type !== "array") {
+    return { text: content, usage };
+  }
+  try {
+    const parsed = JSON.parse(content);
+    return {
+      text: JSON.stringify(unwrapRootArray(parsed, responseSchema)),
+      usage,
+    };
+  } catch {
+    return { text: content, usage }; // left for the repair pass
+  }
+}
+
+async function callClaude({
+  apiKey,
+  model,
+  prompt,
+  maxOutputTokens = 2000,
+  responseSchema,
+  schemaName,
+  onDelta,
+}) {
+  const body = {
+    model,
+    max_tokens: maxOutputTokens,
+    messages: [{ role: "user", content: prompt }],
+    ...(onDelta ? { stream: true } : {}),
   };
+  // forcing a single tool call is how Anthropic does schema-constrained output
+  if (responseSchema) {
+    body.tools = [
+      {
+        name: schemaName,
+        description: "Record the response in the requested shape.",
+        input_schema: wrapRootArray(responseSchema),
+      },
+    ];
+    body.tool_choice = { type: "tool", name: schemaName };
+  }
 
-  const res = await fetch(`${OPENAI_BASE}/chat/completions`, {
+  const res = await fetch(`${ANTHROPIC_BASE}/messages`, {
     method: "POST",
     headers: {
       "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
+      "x-api-key": apiKey,
+      "anthropic-version": "2023-06-01",
     },
     body: JSON.stringify(body),
   });
 
   if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(`OpenAI error ${res.status}: ${text}`);
+    throw await buildHttpError("Anthropic", res);
+  }
+
+  if (onDelta) {
+    let text = "";
+    let toolJson = "";
+    let inputTokens;
+    let outputTokens;
+    for await (const event of readSseData(res)) {
+      if (event?.type === "message_start") {
+        inputTokens = event.message?.usage?.input_tokens;
+      }
+      if (event?.type === "message_delta") {
+        outputTokens = event.usage?.output_tokens ?? outputTokens;
+      }
+      if (event?.type === "error") {
+        // overloaded_error mid-stream is the streaming form of a 529
+        const status =
+          event.error?.type === "overloaded_error" ? 529 : undefined;
+        throw buildStreamError("Anthropic", event.error, status);
+      }
+      if (event?.type !== "content_block_delta") continue;
+      const delta = event.delta?.text ?? event.delta?.partial_json ?? "";
+      if (event.delta?.type === "input_json_delta") toolJson += delta;
+      else text += delta;
+      if (delta) onDelta(delta);
+    }
+    const usage = toUsage(inputTokens, outputTokens);
+    if (!toolJson || !responseSchema) return { text, usage };
+    try {
+      const input = JSON.parse(toolJson);
+      return {
+        text: JSON.stringify(unwrapRootArray(input, responseSchema)),
+        usage,
+      };
+    } catch {
+      return { text: toolJson, usage }; // left for the repair pass
+    }
+  }
+
+  const data = await res.json();
+  const usage = toUsage(data?.usage?.input_tokens, data?.usage?.output_tokens);
+  if (!Array.isArray(data.content)) return { text: "", usage };
+  const toolUse = data.content.find((p) => p?.type === "tool_use");
+  if (toolUse && responseSchema) {
+    return {
+      text: JSON.stringify(unwrapRootArray(toolUse.input, responseSchema)),
+      usage,
+    };
+  }
+  return { text: data.content.map((p) => p?.text ?? "").join(""), usage };
+}
+
+async function callOllama({
+  model,
+  baseUrl,
+  prompt,
+  responseMimeType = "application/json",
+  contextTokens,
+  maxOutputTokens,
+  responseSchema,
+  onDelta,
+}) {
+  const options = { temperature: 0.2 };
+  // Ollama silently truncates prompts past num_ctx (a few thousand by default)
+  if (contextTokens) options.num_ctx = contextTokens;
+  if (maxOutputTokens) options.num_predict = maxOutputTokens;
+
+  const body = {
+    model,
+    messages: [{ role: "user", content: prompt }],
+    stream: Boolean(onDelta),
+    options,
+    // format takes a full JSON schema on Ollama 0.5+
+    ...(responseMimeType === "application/json"
+      ? { format: responseSchema || "json" }
+      : {}),
+  };
+
+  const base = trimTrailingSlash(baseUrl || OLLAMA_BASE);
+  const res = await fetch(`${base}/api/chat`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+  if (!res.ok) {
+    throw await buildHttpError("Ollama", res);
+  }
+
+  if (onDelta) {
+    let content = "";
+    let usage = null;
+    for await (const chunk of readNdjson(res)) {
+      if (chunk?.error) {
+        throw buildStreamError("Ollama", { message: chunk.error });
+      }
+      if (chunk?.done) {
+        usage = toUsage(chunk.prompt_eval_count, chunk.eval_count);
+      }
+      const delta = chunk?.message?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+    }
+    return { text: content, usage };
+  }
+
+  const data = await res.json();
+  return {
+    text: data?.message?.content ?? "",
+    usage: toUsage(data?.prompt_eval_count, data?.eval_count),
+  };
+}
+
+// ----------- PROVIDER REGISTRY -----------
+
+// A provider definition (built-in or loaded with --provider-module):
+//   name            id used for --provider, the cache key and meta.json
+//   label           menu label (defaults to name)
+//   aliases         extra names accepted by --provider
+//   defaultModel    model used when --model is not given
+//   models          choices shown in the interactive model menu
+//   requiresKey     false for local endpoints (default true)
+//   keyEnv          { single, list } env var names holding API keys
+//   keyArgs         { single, list } parsed CLI flags (built-ins only)
+//   baseUrlEnv      env vars checked for the endpoint when --base-url is unset
+//   defaultBaseUrl  endpoint used when nothing else is configured
+//   requiresBaseUrl fail early when no endpoint is configured
+//   supportsBaseUrl false when generate ignores baseUrl, so --base-url is
+//                   rejected instead of silently dropped (default true)
+//   modelLimits     { "<model or model prefix>": { contextTokens, maxOutputTokens } }
+//   defaultLimits   limits for models missing from modelLimits
+//   prices          { "<model or model prefix>": { input, output } } in USD
+//                   per million tokens
+//   defaultPrice    price for models missing from prices (null = unknown)
+//   generate({ apiKey, model, baseUrl, prompt, responseMimeType,
+//              contextTokens, maxOutputTokens, responseSchema, schemaName })
+//     -> text, or { text, usage: { inputTokens, outputTokens } }; responseSchema is a RESPONSE_SCHEMAS entry (null for free text
+//     or with --no-structured-output) to map onto the API's structured mode;
+//     onDelta(text), when given, asks for a streamed response and is called
+//     with each chunk as it arrives
+
+// Used when neither the provider nor the flags say anything about a model.
+const FALLBACK_MODEL_LIMITS = { contextTokens: 8192, maxOutputTokens: 2048 };
+
+const BUILTIN_PROVIDERS = [
+  {
+    name: "gemini",
+    label: "Gemini (Google)",
+    aliases: ["google"],
+    supportsBaseUrl: false,
+    defaultModel: "gemini-2.5-flash-lite",
+    models: [
+      "gemini-2.5-flash-lite",
+      "gemini-2.5-flash",
+      "gemini-2.0-flash",
+      "gemini-1.5-pro",
+    ],
+    modelLimits: {
+      "gemini-2.5-flash-lite": {
+        contextTokens: 1048576,
+        maxOutputTokens: 65536,
+      },
+      "gemini-2.5-flash": { contextTokens: 1048576, maxOutputTokens: 65536 },
+      "gemini-2.5-pro": { contextTokens: 1048576, maxOutputTokens: 65536 },
+      "gemini-2.0-flash": { contextTokens: 1048576, maxOutputTokens: 8192 },
+      "gemini-1.5-flash": { contextTokens: 1048576, maxOutputTokens: 8192 },
+      "gemini-1.5-pro": { contextTokens: 2097152, maxOutputTokens: 8192 },
+    },
+    defaultLimits: { contextTokens: 1048576, maxOutputTokens: 8192 },
+    prices: {
+      "gemini-2.5-flash-lite": { input: 0.1, output: 0.4 },
+      "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+      "gemini-2.5-pro": { input: 1.25, output: 10 },
+      "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+      "gemini-1.5-flash": { input: 0.075, output: 0.3 },
+      "gemini-1.5-pro": { input: 1.25, output: 5 },
+    },
+    keyEnv: { single: "GEMINI_API_KEY", list: "GEMINI_API_KEYS" },
+    keyArgs: { single: "geminiApiKey", list: "geminiApiKeys" },
+    generate: callGemini,
+  },
+  {
+    name: "gpt",
+    label: "ChatGPT (OpenAI)",
+    aliases: ["openai", "chatgpt"],
+    defaultModel: "gpt-4o-mini",
+    models: ["gpt-4o-mini", "gpt-4o", "gpt-4.1-mini", "gpt-4.1"],
+    modelLimits: {
+      "gpt-4o": { contextTokens: 128000, maxOutputTokens: 16384 },
+      "gpt-4.1": { contextTokens: 1047576, maxOutputTokens: 32768 },
+      "gpt-4-turbo": { contextTokens: 128000, maxOutputTokens: 4096 },
+      "gpt-3.5-turbo": { contextTokens: 16385, maxOutputTokens: 4096 },
+    },
+    defaultLimits: { contextTokens: 128000, maxOutputTokens: 16384 },
+    prices: {
+      "gpt-4o-mini": { input: 0.15, output: 0.6 },
+      "gpt-4o": { input: 2.5, output: 10 },
+      "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+      "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+      "gpt-4.1": { input: 2, output: 8 },
+    },
+    keyEnv: { single: "OPENAI_API_KEY", list: "OPENAI_API_KEYS" },
+    keyArgs: { single: "openaiApiKey", list: "openaiApiKeys" },
+    baseUrlEnv: ["OPENAI_BASE_URL"],
+    defaultBaseUrl: OPENAI_BASE,
+    generate: callOpenAI,
+  },
+  {
+    name: "claude",
+    label: "Claude (Anthropic)",
+    aliases: ["anthropic"],
+    supportsBaseUrl: false,
+    defaultModel: "claude-3-5-sonnet-20240620",
+    models: [
+      "claude-3-5-sonnet-20240620",
+      "claude-3-5-haiku-20241022",
+      "claude-3-opus-20240229",
+    ],
+    modelLimits: {
+      // the June 2024 Sonnet only allows 8192 with a beta header
+      "claude-3-5-sonnet-20240620": {
+        contextTokens: 200000,
+        maxOutputTokens: 4096,
+      },
+      "claude-3-5": { contextTokens: 200000, maxOutputTokens: 8192 },
+      "claude-3-opus": { contextTokens: 200000, maxOutputTokens: 4096 },
+      "claude-3-haiku": { contextTokens: 200000, maxOutputTokens: 4096 },
+    },
+    defaultLimits: { contextTokens: 200000, maxOutputTokens: 4096 },
+    prices: {
+      "claude-3-5-sonnet": { input: 3, output: 15 },
+      "claude-3-5-haiku": { input: 0.8, output: 4 },
+      "claude-3-opus": { input: 15, output: 75 },
+      "claude-3-haiku": { input: 0.25, output: 1.25 },
+    },
+    keyEnv: { single: "ANTHROPIC_API_KEY", list: "ANTHROPIC_API_KEYS" },
+    keyArgs: { single: "anthropicApiKey", list: "anthropicApiKeys" },
+    generate: callClaude,
+  },
+  {
+    name: "ollama",
+    label: "Ollama (local)",
+    aliases: ["local"],
+    defaultModel: "llama3.1",
+    models: ["llama3.1", "qwen2.5-coder", "mistral", "gemma2"],
+    // The models support more, but every extra token of num_ctx costs memory
+    // on the user's machine; raise with --context-tokens.
+    defaultLimits: { contextTokens: 8192, maxOutputTokens: 2048 },
+    // runs on your own hardware
+    defaultPrice: { input: 0, output: 0 },
+    requiresKey: false,
+    baseUrlEnv: ["OLLAMA_HOST"],
+    defaultBaseUrl: OLLAMA_BASE,
+    generate: callOllama,
+  },
+  {
+    name: "openai-compatible",
+    label: "OpenAI-compatible endpoint (self-hosted)",
+    aliases: ["openai-compat", "compatible", "custom"],
+    // whatever the server hosts; asked for interactively
+    defaultModel: null,
+    models: [],
+    requiresKey: false,
+    baseUrlEnv: ["OPENAI_BASE_URL"],
+    requiresBaseUrl: true,
+    generate: callOpenAI,
+  },
+];
+
+const providerRegistry = new Map();
+
+function registerProvider(def, source = "built-in") {
+  if (!def || typeof def.name !== "string" || !def.name.trim()) {
+    throw new Error(`Provider from ${source} must export a string "name".`);
+  }
+  if (typeof def.generate !== "function") {
+    throw new Error(
+      `Provider "${def.name}" from ${source} must export a generate() function.`,
+    );
+  }
+  const name = def.name.trim().toLowerCase();
+  providerRegistry.set(name, {
+    label: def.name,
+    aliases: [],
+    defaultModel: null,
+    models: [],
+    requiresKey: true,
+    keyEnv: {},
+    keyArgs: {},
+    baseUrlEnv: [],
+    defaultBaseUrl: null,
+    requiresBaseUrl: false,
+    supportsBaseUrl: true,
+    modelLimits: {},
+    defaultLimits: FALLBACK_MODEL_LIMITS,
+    prices: {},
+    defaultPrice: null,
+    ...def,
+    name,
+    aliases: (def.aliases || []).map((a) => String(a).trim().toLowerCase()),
+  });
+}
+
+for (const def of BUILTIN_PROVIDERS) registerProvider(def);
+
+async function loadProviderModules(modulePaths) {
+  for (const modulePath of modulePaths || []) {
+    const resolved = path.resolve(modulePath);
+    let mod;
+    try {
+      mod = await import(pathToFileURL(resolved).href);
+    } catch (e) {
+      throw new Error(`cannot load provider module ${resolved}: ${e.message}`);
+    }
+    const exported = mod.default || mod.provider || mod;
+    const defs = Array.isArray(exported) ? exported : [exported];
+    for (const def of defs) registerProvider(def, resolved);
+  }
+}
+
+function getProvider(name) {
+  return providerRegistry.get(name) || null;
+}
+
+function listProviders() {
+  return Array.from(providerRegistry.values());
+}
+
+function normalizeProvider(input) {
+  if (!input) return null;
+  const val = String(input).trim().toLowerCase();
+  for (const def of providerRegistry.values()) {
+    if (def.name === val || def.aliases.includes(val)) return def.name;
   }
-
-  const data = await res.json();
-  return data?.choices?.[0]?.message?.content ?? "";
+  return null;
 }
 
-async function callClaude({ apiKey, model, prompt }) {
-  const body = {
-    model,
-    max_tokens: 2000,
-    messages: [{ role: "user", content: prompt }],
-  };
+function resolveBaseUrl(provider, explicit) {
+  const def = getProvider(provider);
+  const fromEnv = (def?.baseUrlEnv || [])
+    .map((name) => process.env[name])
+    .find(Boolean);
+  const url = explicit || fromEnv || def?.defaultBaseUrl;
+  if (!url) return null;
+  // OLLAMA_HOST and friends are often given as host:port
+  return trimTrailingSlash(/^https?:\/\//.test(url) ? url : `http://${url}`);
+}
 
-  const res = await fetch(`${ANTHROPIC_BASE}/messages`, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "x-api-key": apiKey,
-      "anthropic-version": "2023-06-01",
-    },
-    body: JSON.stringify(body),
-  });
+// Exact model name first, then the longest matching prefix, so dated
+// snapshots and ollama tags like "llama3.1:8b" resolve.
+function lookupByModel(table, model) {
+  if (!table || !model) return null;
+  if (table[model]) return table[model];
+  const prefix = Object.keys(table)
+    .filter((key) => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? table[prefix] : null;
+}
 
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(`Anthropic error ${res.status}: ${text}`);
+// Model table, then the provider default; flags win over both.
+function resolveModelLimits(provider, model, overrides = {}) {
+  const def = getProvider(provider);
+  const base =
+    lookupByModel(def?.modelLimits, model) ||
+    def?.defaultLimits ||
+    FALLBACK_MODEL_LIMITS;
+
+  const limits = {
+    contextTokens: Math.floor(overrides.contextTokens || base.contextTokens),
+    maxOutputTokens: Math.floor(
+      overrides.maxOutputTokens || base.maxOutputTokens,
+    ),
+    batchTokens: Math.floor(overrides.batchTokens) || null,
+  };
+  // a smaller --context-tokens should not leave the output reserve larger
+  // than the window itself
+  if (!overrides.maxOutputTokens) {
+    limits.maxOutputTokens = Math.min(
+      limits.maxOutputTokens,
+      Math.floor(limits.contextTokens / 2),
+    );
   }
-
-  const data = await res.json();
-  if (!Array.isArray(data.content)) return "";
-  return data.content.map((p) => p?.text ?? "").join("");
+  return limits;
 }
 
 async function callProviderText({
   provider,
   apiKey,
   model,
+  baseUrl,
+  limits,
+  structuredOutput,
+  onDelta,
   prompt,
   responseMimeType,
+  schemaName,
 }) {
-  switch (provider) {
-    case "gemini":
-      return callGemini({ apiKey, model, prompt, responseMimeType });
-    case "gpt":
-      return callOpenAI({ apiKey, model, prompt });
-    case "claude":
-      return callClaude({ apiKey, model, prompt });
-    default:
-      throw new Error(`Unsupported provider: ${provider}`);
-  }
+  const def = getProvider(provider);
+  if (!def) throw new Error(`Unsupported provider: ${provider}`);
+  const useSchema = schemaName && structuredOutput !== false;
+  const result = await def.generate({
+    apiKey,
+    model,
+    baseUrl,
+    prompt,
+    responseMimeType,
+    contextTokens: limits?.contextTokens,
+    maxOutputTokens: limits?.maxOutputTokens,
+    responseSchema: useSchema ? RESPONSE_SCHEMAS[schemaName] : null,
+    schemaName: useSchema ? schemaName : null,
+    onDelta,
+  });
+
+  // third-party providers may return plain text; estimate what they don't report
+  const text = typeof result === "string" ? result : result?.text ?? "";
+  const reported = typeof result === "string" ? null : result?.usage;
+  const counts = reported
+    ? {
+        inputTokens: reported.inputTokens || 0,
+        outputTokens: reported.outputTokens || 0,
+        estimated: false,
+      }
+    : {
+        inputTokens: estimateTokens(prompt),
+        outputTokens: estimateTokens(text),
+        estimated: true,
+      };
+  return { text, counts };
 }
 
 function extractJsonBlock(rawText, openChar, closeChar) {
@@ -1044,6 +3917,7 @@ function extractJsonBlock(rawText, openChar, closeChar) {
 function isRateLimitError(err) {
   const msg = String(err?.message || err || "").toLowerCase();
   return (
+    err?.status === 429 ||
     msg.includes("429") ||
     msg.includes("rate limit") ||
     msg.includes("too many requests") ||
@@ -1052,17 +3926,282 @@ function isRateLimitError(err) {
   );
 }
 
-function createKeyRing(keys) {
+// ----------- USAGE & COST -----------
+
+// Prices are USD per million tokens: { input, output }. Providers declare
+// them like modelLimits (exact model name or prefix); --price-table adds or
+// overrides entries by model name.
+
+async function loadPriceTable(filename) {
+  if (!filename) return {};
+  const table = JSON.parse(await fs.readFile(filename, "utf8"));
+  if (!table || typeof table !== "object" || Array.isArray(table)) {
+    throw new Error("expected an object keyed by model name");
+  }
+  for (const [model, price] of Object.entries(table)) {
+    if (!Number.isFinite(price?.input) || !Number.isFinite(price?.output)) {
+      throw new Error(`"${model}" needs numeric "input" and "output" prices`);
+    }
+  }
+  return table;
+}
+
+function resolvePrice(provider, model, priceTable = {}) {
+  const def = getProvider(provider);
+  return (
+    lookupByModel(priceTable, model) ||
+    lookupByModel(def?.prices, model) ||
+    def?.defaultPrice ||
+    null
+  );
+}
+
+const USAGE_STAGES = [
+  "analysis",
+  "repoSummary",
+  "overallSummary",
+  "cv",
+  "performance",
+];
+
+// Token counts per stage and per repo. A call can be split across repos by
+// weight (analysis batches mix repos); cross-repo calls (overall summary, CV,
+// performance) only count toward the stage totals. `previous` carries counts
+// over from a resumed run's checkpoint.
+function createUsageTracker({ price, previous }) {
+  const emptyBucket = () => ({
+    calls: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    estimatedCalls: 0,
+  });
+  const state = {
+    total: emptyBucket(),
+    byStage: {},
+    byRepo: {},
+    ...(previous ? structuredClone(previous) : {}),
+  };
+
+  const add = (bucket, counts, share) => {
+    bucket.calls += share;
+    bucket.inputTokens += counts.inputTokens * share;
+    bucket.outputTokens += counts.outputTokens * share;
+    if (counts.estimated) bucket.estimatedCalls += share;
+  };
+
+  const priced = (bucket) => {
+    const round = (n) => Math.round(n * 100) / 100;
+    const out = {
+      calls: round(bucket.calls),
+      inputTokens: Math.round(bucket.inputTokens),
+      outputTokens: Math.round(bucket.outputTokens),
+      estimatedCalls: round(bucket.estimatedCalls),
+      cost: null,
+    };
+    if (price) {
+      const cost =
+        (bucket.inputTokens * price.input + bucket.outputTokens * price.output) /
+        1e6;
+      out.cost = Math.round(cost * 1e6) / 1e6;
+    }
+    return out;
+  };
+
+  return {
+    record({ stage, repos, counts }) {
+      add(state.total, counts, 1);
+      state.byStage[stage] ??= emptyBucket();
+      add(state.byStage[stage], counts, 1);
+
+      const weights = Object.entries(repos || {});
+      const sum = weights.reduce((acc, [, w]) => acc + w, 0);
+      for (const [repo, weight] of weights) {
+        if (!sum) break;
+        state.byRepo[repo] ??= emptyBucket();
+        add(state.byRepo[repo], counts, weight / sum);
+      }
+    },
+    snapshot() {
+      return structuredClone(state);
+    },
+    hasCalls() {
+      return state.total.calls > 0;
+    },
+    report() {
+      const byStage = {};
+      for (const stage of USAGE_STAGES) {
+        if (state.byStage[stage]) byStage[stage] = priced(state.byStage[stage]);
+      }
+      const byRepo = {};
+      for (const [repo, bucket] of Object.entries(state.byRepo)) {
+        byRepo[repo] = priced(bucket);
+      }
+      return {
+        currency: "USD",
+        pricePerMillionTokens: price,
+        total: priced(state.total),
+        byStage,
+        byRepo,
+      };
+    },
+  };
+}
+
+function formatUsageLine(report, model) {
+  const { total } = report;
+  const fmt = (n) => n.toLocaleString("en-US");
+  const parts = [
+    `${total.calls} LLM calls`,
+    `${fmt(total.inputTokens)} in / ${fmt(total.outputTokens)} out tokens`,
+  ];
+  if (total.estimatedCalls) {
+    parts.push(`${total.estimatedCalls} estimated`);
+  }
+  parts.push(formatCost(total.cost, model));
+  return `💰 ${parts.join(", ")}`;
+}
+
+function formatCost(cost, model) {
+  if (cost == null) {
+    return `cost unknown (no price for ${model}; see --price-table)`;
+  }
+  return cost ? `~$${cost.toFixed(4)}` : "$0";
+}
+
+// ----------- RETRIES & KEY RING -----------
+
+async function buildHttpError(label, res) {
+  const text = await res.text().catch(() => "");
+  const err = new Error(`${label} error ${res.status}: ${text}`);
+  err.status = res.status;
+  err.retryAfterMs = parseRetryAfter(res.headers, text);
+  return err;
+}
+
+function parseRetryAfter(headers, bodyText) {
+  const ms = Number(headers?.get?.("retry-after-ms"));
+  if (Number.isFinite(ms) && ms > 0) return ms;
+
+  const header = headers?.get?.("retry-after");
+  if (header) {
+    const secs = Number(header);
+    if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+    const at = Date.parse(header);
+    if (!Number.isNaN(at)) return Math.max(0, at - Date.now());
+  }
+
+  // Gemini reports RetryInfo in the error body instead of a header
+  const m = /"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/.exec(bodyText || "");
+  if (m) return Number(m[1]) * 1000;
+  return null;
+}
+
+const TRANSIENT_NETWORK_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_HEADERS_TIMEOUT",
+];
+
+// "rate-limit" | "transient" | "auth" | "permanent"
+// The HTTP status decides when there is one; the message text is only read
+// for errors without a status, since bodies can contain "429" or "quota" in
+// unrelated ways (token counts, quota hints on a 400).
+function classifyProviderError(err) {
+  if (err?.streamInterrupted) return "transient";
+  const message = String(err?.message || "");
+  // OpenAI's 429 insufficient_quota is a billing failure, not a rate limit
+  if (/insufficient_quota/i.test(message)) return "permanent";
+
+  let status = err?.status;
+  if (!status) {
+    if (isRateLimitError(err)) return "rate-limit";
+    // third-party providers may only put the status in the message
+    const m = /\b([45]\d\d)\b/.exec(message);
+    if (m) status = Number(m[1]);
+  }
+  if (status === 429) return "rate-limit";
+  if (status === 401 || status === 403) return "auth";
+  if (status === 408 || status === 409 || status === 529 || status >= 500) {
+    return "transient";
+  }
+  if (status >= 400) return "permanent";
+
+  const code = err?.cause?.code || err?.code;
+  if (TRANSIENT_NETWORK_CODES.includes(code)) return "transient";
+  if (err?.name === "TypeError" && /fetch failed/i.test(err.message)) {
+    return "transient";
+  }
+  return "permanent";
+}
+
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const exp = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  // equal jitter: never less than half the exponential step
+  return Math.round(exp / 2 + Math.random() * (exp / 2));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+const DEFAULT_RETRY = {
+  maxRetries: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+};
+
+function createKeyRing(keys, retry = {}) {
   const list = Array.isArray(keys) ? keys.filter(Boolean) : [];
   return {
     keys: list,
     index: 0,
-    current() {
-      return this.keys[this.index];
+    // keyless providers get a single slot so cooldowns still apply
+    slots: (list.length ? list : [null]).map((key) => ({
+      key,
+      availableAt: 0,
+      disabled: false,
+    })),
+    retry: { ...DEFAULT_RETRY, ...retry },
+    // set on any rate limit so parallel workers back off together
+    pausedUntil: 0,
+    cooldown(key, ms) {
+      const slot = this.slots.find((s) => s.key === key);
+      if (slot) slot.availableAt = Math.max(slot.availableAt, Date.now() + ms);
+      const pause = Math.min(ms, this.retry.baseDelayMs);
+      this.pausedUntil = Math.max(this.pausedUntil, Date.now() + pause);
+    },
+    disable(key) {
+      const slot = this.slots.find((s) => s.key === key);
+      if (slot) slot.disabled = true;
     },
-    rotate() {
-      if (!this.keys.length) return;
-      this.index = (this.index + 1) % this.keys.length;
+    // Round-robin over usable keys so parallel calls spread across them.
+    // If all are cooling down, returns the one that frees up first together
+    // with how long to wait.
+    acquire() {
+      const now = Date.now();
+      const globalWait = Math.max(0, this.pausedUntil - now);
+      let best = null;
+      for (let i = 0; i < this.slots.length; i++) {
+        const idx = (this.index + i) % this.slots.length;
+        const slot = this.slots[idx];
+        if (slot.disabled) continue;
+        if (slot.availableAt <= now) {
+          best = { slot, idx };
+          break;
+        }
+        if (!best || slot.availableAt < best.slot.availableAt) {
+          best = { slot, idx };
+        }
+      }
+      if (!best) return null;
+      this.index = (best.idx + 1) % this.slots.length;
+      const waitMs = Math.max(globalWait, best.slot.availableAt - now);
+      return { key: best.slot.key, waitMs };
     },
   };
 }
@@ -1071,41 +4210,430 @@ async function callProviderTextWithKeyRing({
   provider,
   keyRing,
   model,
+  baseUrl,
+  limits,
+  structuredOutput,
+  progress,
+  usage,
+  progressLabel = "LLM call",
+  expectedTokens,
+  usageStage,
+  usageRepos,
   prompt,
   responseMimeType,
+  schemaName,
 }) {
-  if (!keyRing?.keys?.length) {
+  const keyless = getProvider(provider)?.requiresKey === false;
+  if (!keyRing || (!keyRing.keys.length && !keyless)) {
     throw new Error("No API keys available for provider.");
   }
-  let attempts = 0;
+  const { maxRetries, onRetry } = keyRing.retry;
+  // rotating onto a fresh key is free; waiting, or going round every key
+  // again after each was rate limited, counts as a retry
+  let retries = 0;
+  let rateLimited = 0;
   let lastErr;
-  while (attempts < keyRing.keys.length) {
-    const apiKey = keyRing.current();
+  // the progress line covers waits and retries, not just the streaming
+  const task = progress?.start(progressLabel, expectedTokens);
+  try {
+    while (true) {
+      const slot = keyRing.acquire();
+      if (!slot) throw lastErr || new Error("All API keys were rejected.");
+      const usableKeys = keyRing.slots.filter((s) => !s.disabled).length;
+      if (slot.waitMs > 0 || rateLimited >= usableKeys) {
+        // waiting out another worker's rate limit isn't a retry of this call
+        if (lastErr) {
+          if (retries >= maxRetries) throw lastErr;
+          retries++;
+          onRetry?.({
+            reason: "cooldown",
+            delayMs: slot.waitMs,
+            retries,
+            error: lastErr,
+          });
+        }
+        rateLimited = 0;
+        if (slot.waitMs > 0) await sleep(slot.waitMs);
+      }
+
+      const apiKey = slot.key;
+      task?.reset();
+      try {
+        const { text, counts } = await callProviderText({
+          provider,
+          apiKey,
+          model,
+          baseUrl,
+          limits,
+          structuredOutput,
+          onDelta: task?.update,
+          prompt,
+          responseMimeType,
+          schemaName,
+        });
+        usage?.record({ stage: usageStage, repos: usageRepos, counts });
+        return text;
+      } catch (err) {
+        lastErr = err;
+        const kind = classifyProviderError(err);
+        if (kind === "permanent") throw err;
+        if (kind === "auth") {
+          // a revoked key shouldn't sink the run while others still work
+          if (keyRing.slots.length < 2) throw err;
+          keyRing.disable(apiKey);
+          continue;
+        }
+        // "Retry-After: 0" or a date in the past must not mean no wait
+        const delayMs = Math.max(
+          err.retryAfterMs ?? 0,
+          backoffDelay(retries, keyRing.retry),
+        );
+        if (kind === "rate-limit") {
+          keyRing.cooldown(apiKey, delayMs);
+          rateLimited++;
+          continue;
+        }
+        rateLimited = 0;
+        if (retries >= maxRetries) throw err;
+        retries++;
+        onRetry?.({ reason: kind, delayMs, retries, error: err });
+        await sleep(delayMs);
+      }
+    }
+  } finally {
+    task?.done();
+  }
+}
+
+// ----------- RESPONSE VALIDATION -----------
+
+const COMMIT_TYPES = [
+  "feature",
+  "fix",
+  "tech-improvement",
+  "docs",
+  "chore",
+  "other",
+];
+
+// Repair pass for commit types: an unknown or missing type is cosmetic, so it
+// becomes "other" instead of costing a re-ask.
+function normalizeCommitType(type) {
+  const t = typeof type === "string" ? type.trim().toLowerCase() : "";
+  return COMMIT_TYPES.includes(t) ? t : "other";
+}
+
+// How many times a malformed or incomplete response is sent back to the model.
+const JSON_REASK_LIMIT = 2;
+
+// One schema per JSON prompt type, in the JSON Schema subset validateSchema
+// understands (type, properties, required, items, additionalProperties, enum,
+// minLength).
+const stringList = { type: "array", items: { type: "string" } };
+
+const RESPONSE_SCHEMAS = {
+  commitAnalysis: {
+    type: "array",
+    items: {
+      type: "object",
+      properties: {
+        hash: { type: "string", minLength: 1 },
+        type: { type: "string", enum: COMMIT_TYPES },
+        summary: { type: "string", minLength: 1 },
+      },
+      required: ["hash", "type", "summary"],
+    },
+  },
+  repoSummary: {
+    type: "object",
+    properties: {
+      repo: { type: "string" },
+      themes: stringList,
+      highlights: stringList,
+      risks_or_debt: stringList,
+      evidence: stringList,
+      outline: stringList,
+    },
+    required: [
+      "repo",
+      "themes",
+      "highlights",
+      "risks_or_debt",
+      "evidence",
+      "outline",
+    ],
+  },
+  overallSummary: {
+    type: "object",
+    properties: {
+      overall_themes: stringList,
+      overall_highlights: stringList,
+      by_project: {
+        type: "object",
+        additionalProperties: {
+          type: "object",
+          properties: {
+            themes: stringList,
+            highlights: stringList,
+            risks_or_debt: stringList,
+          },
+          required: ["themes", "highlights", "risks_or_debt"],
+        },
+      },
+      skills_surface: {
+        type: "object",
+        properties: {
+          frontend: stringList,
+          backend: stringList,
+          devops: stringList,
+        },
+        required: ["frontend", "backend", "devops"],
+      },
+    },
+    required: [
+      "overall_themes",
+      "overall_highlights",
+      "by_project",
+      "skills_surface",
+    ],
+  },
+  cv: {
+    type: "object",
+    properties: {
+      cv_md: { type: "string", minLength: 1 },
+      cv_bullets_md: { type: "string", minLength: 1 },
+    },
+    required: ["cv_md", "cv_bullets_md"],
+  },
+};
+
+function jsonTypeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+// Returns a list of "path: problem" strings; empty when the value matches.
+function validateSchema(value, schema, where = "$") {
+  const actual = jsonTypeOf(value);
+  if (schema.type && actual !== schema.type) {
+    return [`${where}: expected ${schema.type}, got ${actual}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where}: must be one of ${schema.enum.join(", ")}`);
+  }
+  if (schema.minLength && actual === "string") {
+    if (value.trim().length < schema.minLength) {
+      errors.push(`${where}: must not be empty`);
+    }
+  }
+  if (actual === "array" && schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...validateSchema(item, schema.items, `${where}[${i}]`));
+    });
+  }
+  if (actual === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${where}.${key}: missing`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const sub =
+        schema.properties?.[key] ||
+        (typeof schema.additionalProperties === "object"
+          ? schema.additionalProperties
+          : null);
+      if (sub) errors.push(...validateSchema(child, sub, `${where}.${key}`));
+    }
+  }
+  return errors;
+}
+
+function stripCodeFences(text) {
+  const fenced = text.match(/```[a-z]*\s*\n?([\s\S]*?)(?:```|$)/i);
+  return fenced ? fenced[1] : text;
+}
+
+// Lenient second pass for text JSON.parse rejects: code fences, prose around
+// the JSON, trailing commas, and output cut off by the token limit (trimmed
+// back to the last complete top-level element, then closed). When the cut
+// falls inside the first element, that element is closed instead, at the
+// latest point where the result still parses.
+function repairJson(rawText, openChar) {
+  const text = stripCodeFences(String(rawText || ""));
+  const start = text.indexOf(openChar);
+  if (start < 0) return null;
+
+  let out = "";
+  const closers = [];
+  let inString = false;
+  let escaped = false;
+  let lastComplete = -1;
+  // inner commas of the first element, with the brackets open at each
+  const cutPoints = [];
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      out += ch;
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') {
+      inString = true;
+      out += ch;
+    } else if (ch === "{" || ch === "[") {
+      closers.push(ch === "{" ? "}" : "]");
+      out += ch;
+    } else if (ch === "}" || ch === "]") {
+      out = out.replace(/,\s*$/, "") + ch;
+      closers.pop();
+      if (!closers.length) return out;
+    } else {
+      if (ch === "," && closers.length === 1) lastComplete = out.length;
+      if (ch === "," && closers.length > 1 && lastComplete < 0) {
+        cutPoints.push([out.length, [...closers]]);
+      }
+      out += ch;
+    }
+  }
+
+  if (lastComplete >= 0) return out.slice(0, lastComplete) + closers[0];
+  const tail = inString ? `${out}"` : out;
+  for (const [end, open] of [[tail.length, closers], ...cutPoints.reverse()]) {
+    const closing = [...open].reverse().join("");
+    const candidate = tail.slice(0, end).replace(/[,:\s]+$/, "") + closing;
     try {
-      return await callProviderText({
-        provider,
-        apiKey,
-        model,
-        prompt,
-        responseMimeType,
-      });
-    } catch (err) {
-      lastErr = err;
-      if (isRateLimitError(err) && keyRing.keys.length > 1) {
-        keyRing.rotate();
-        attempts++;
-        continue;
+      JSON.parse(candidate);
+      return candidate;
+    } catch {
+      // cut inside a key or value; try the previous comma
+    }
+  }
+  return null;
+}
+
+function parseJsonText(rawText, openChar) {
+  const closeChar = openChar === "[" ? "]" : "}";
+  try {
+    const jsonText = extractJsonBlock(rawText, openChar, closeChar);
+    return { value: JSON.parse(jsonText) };
+  } catch (err) {
+    const repaired = repairJson(rawText, openChar);
+    if (repaired) {
+      try {
+        return { value: JSON.parse(repaired), repaired: true };
+      } catch {
+        // fall through with the original parse error
       }
-      throw err;
     }
+    return { error: `response was not valid JSON (${err.message})` };
+  }
+}
+
+function buildReaskPrompt(prompt, problems, previousText) {
+  const lines = [
+    prompt,
+    "",
+    "Your previous response could not be used:",
+    ...problems.slice(0, 20).map((p) => `- ${p}`),
+  ];
+  if (problems.length > 20) {
+    lines.push(`- ...and ${problems.length - 20} more`);
+  }
+  if (previousText) {
+    lines.push(
+      "",
+      "Previous response (truncated):",
+      previousText.slice(0, 2000),
+    );
+  }
+  lines.push(
+    "",
+    "Reply again with ONLY the corrected JSON, in exactly the requested shape.",
+  );
+  return lines.join("\n");
+}
+
+// Calls the provider until the reply parses and matches
+// RESPONSE_SCHEMAS[schemaName], sending the problems back to the model between
+// attempts.
+async function requestValidatedJson({
+  provider,
+  keyRing,
+  model,
+  baseUrl,
+  limits,
+  structuredOutput,
+  progress,
+  usage,
+  progressLabel,
+  usageRepos,
+  prompt,
+  schemaName,
+}) {
+  const schema = RESPONSE_SCHEMAS[schemaName];
+  const openChar = schema.type === "array" ? "[" : "{";
+  let currentPrompt = prompt;
+  let problems = [];
+
+  for (let attempt = 0; attempt <= JSON_REASK_LIMIT; attempt++) {
+    const rawText = await callProviderTextWithKeyRing({
+      provider,
+      keyRing,
+      model,
+      baseUrl,
+      limits,
+      structuredOutput,
+      progress,
+      usage,
+      progressLabel,
+      expectedTokens: EXPECTED_OUTPUT_TOKENS[schemaName],
+      // schema names double as usage stage names
+      usageStage: schemaName,
+      usageRepos,
+      prompt: currentPrompt,
+      schemaName,
+    });
+    const parsed = parseJsonText(rawText, openChar);
+    problems = parsed.error
+      ? [parsed.error]
+      : validateSchema(parsed.value, schema);
+    if (!problems.length) return parsed.value;
+    currentPrompt = buildReaskPrompt(prompt, problems, rawText);
+  }
+
+  throw new Error(
+    `invalid response after ${JSON_REASK_LIMIT + 1} attempts: ${problems
+      .slice(0, 3)
+      .join("; ")}`,
+  );
+}
+
+// ----------- ANALYSIS -----------
+
+// A batch's tokens are attributed to repos by their share of the prompt.
+function repoTokenWeights(commits) {
+  const weights = {};
+  for (const c of commits) {
+    weights[c.repoName] = (weights[c.repoName] || 0) + estimateCommitTokens(c);
   }
-  throw lastErr;
+  return weights;
 }
 
 async function analyzeCommitsBatch({
   provider,
   keyRing,
   model,
+  baseUrl,
+  limits,
+  structuredOutput,
+  progress,
+  usage,
+  progressLabel,
   commitsBatch,
 }) {
   if (typeof fetch !== "function") {
@@ -1114,52 +4642,86 @@ async function analyzeCommitsBatch({
     );
   }
 
-  const prompt = buildPrompt(commitsBatch);
-  const rawText = await callProviderTextWithKeyRing({
-    provider,
-    keyRing,
-    model,
-    prompt,
-  });
+  // models sometimes answer with abbreviated hashes
+  const findCommit = (hash) =>
+    commitsBatch.find(
+      (c) => c.hash === hash || (hash.length >= 7 && c.hash.startsWith(hash)),
+    );
 
-  const jsonText = extractJsonBlock(rawText, "[", "]");
+  const map = {};
+  let pending = commitsBatch;
+  let prompt = buildPrompt(pending);
+  let problems = [];
 
-  let arr;
-  try {
-    arr = JSON.parse(jsonText);
-  } catch {
-    const fallback = {};
-    for (const c of commitsBatch) {
-      fallback[c.hash] = {
-        type: c.typeHint || "other",
-        summary: c.message,
-      };
-    }
-    return fallback;
-  }
+  for (let attempt = 0; attempt <= JSON_REASK_LIMIT; attempt++) {
+    const rawText = await callProviderTextWithKeyRing({
+      provider,
+      keyRing,
+      model,
+      baseUrl,
+      limits,
+      structuredOutput,
+      progress,
+      usage,
+      progressLabel,
+      expectedTokens: pending.length * OUTPUT_TOKENS_PER_COMMIT,
+      usageStage: "analysis",
+      usageRepos: repoTokenWeights(pending),
+      prompt,
+      schemaName: "commitAnalysis",
+    });
 
-  const allowed = [
-    "feature",
-    "fix",
-    "tech-improvement",
-    "docs",
-    "chore",
-    "other",
-  ];
+    const parsed = parseJsonText(rawText, "[");
+    problems = parsed.error
+      ? [parsed.error]
+      : validateSchema(parsed.value, { type: "array" });
 
-  const map = {};
-  for (const item of arr) {
-    if (!item || typeof item !== "object") continue;
-    const hash = String(item.hash || "").trim();
-    if (!hash) continue;
-    const type = allowed.includes(item.type) ? item.type : "other";
-    const summary =
-      typeof item.summary === "string" && item.summary.trim()
-        ? item.summary.trim()
-        : "(no summary)";
-    map[hash] = { type, summary };
+    if (!problems.length) {
+      parsed.value.forEach((item, i) => {
+        if (jsonTypeOf(item) === "object") {
+          item.type = normalizeCommitType(item.type);
+        }
+        const errors = validateSchema(
+          item,
+          RESPONSE_SCHEMAS.commitAnalysis.items,
+          `$[${i}]`,
+        );
+        if (errors.length) {
+          problems.push(...errors);
+          return;
+        }
+        const commit = findCommit(item.hash.trim());
+        if (!commit) {
+          problems.push(`$[${i}].hash: ${item.hash} was not in the input`);
+          return;
+        }
+        map[commit.hash] = { type: item.type, summary: item.summary.trim() };
+      });
+    }
+
+    // only commits without a valid result are sent again
+    pending = pending.filter((c) => !map[c.hash]);
+    if (!pending.length) break;
+    problems.push(
+      `no valid result for ${pending.length} commit(s): ${pending
+        .map((c) => shortHash(c.hash))
+        .join(", ")}`,
+    );
+    prompt = buildReaskPrompt(
+      buildPrompt(pending),
+      problems,
+      parsed.error ? rawText : null,
+    );
   }
 
+  if (!Object.keys(map).length) {
+    // the caller falls back to commit messages; throwing keeps those out of the cache
+    throw new Error(
+      `invalid response after ${JSON_REASK_LIMIT + 1} attempts: ${problems
+        .slice(0, 3)
+        .join("; ")}`,
+    );
+  }
   return map;
 }
 
@@ -1167,40 +4729,122 @@ async function analyzeAllCommitsWithDiff({
   provider,
   keyRing,
   model,
+  baseUrl,
+  limits,
+  structuredOutput,
+  progress,
+  usage,
   enrichedCommits,
   colorize,
+  cache,
+  previous,
+  onProgress,
+  concurrency = 1,
 }) {
-  const batches = chunkCommits(enrichedCommits, 40000);
   const analysisMap = {};
+  // results that came from the LLM (or cache/checkpoint), excluding fallbacks
+  const completed = {};
+  const pending = [];
+  for (const c of enrichedCommits) {
+    const prior = previous?.[c.hash] || cache?.get(c);
+    if (prior) {
+      analysisMap[c.hash] = prior;
+      completed[c.hash] = prior;
+    } else {
+      pending.push(c);
+    }
+  }
+  if (pending.length < enrichedCommits.length) {
+    console.log(
+      colorize(
+        `♻️  Reusing ${enrichedCommits.length - pending.length} cached analyses, ${pending.length} to analyze.`,
+        "magenta",
+      ),
+    );
+    if (onProgress) await onProgress(completed);
+  }
 
-  for (let i = 0; i < batches.length; i++) {
-    const batch = batches[i];
+  const budget = computeBatchBudget(limits || FALLBACK_MODEL_LIMITS);
+  const batches = chunkCommits(pending, budget);
+  if (batches.length) {
     console.log(
       colorize(
-        `🧠 Analyzing batch ${i + 1}/${batches.length} (${
-          batch.length
-        } commits)...`,
+        `📏 Batch budget: ~${budget.inputTokens} prompt tokens, up to ${budget.maxCommits} commits per batch.`,
         "magenta",
       ),
     );
-    try {
-      const res = await analyzeCommitsBatch({
-        provider,
-        keyRing,
-        model,
-        commitsBatch: batch,
-      });
-      Object.assign(analysisMap, res);
-    } catch (e) {
-      console.error(colorize(`  ${provider} batch error: ${e.message}`, "red"));
-      for (const c of batch) {
-        if (!analysisMap[c.hash]) {
-          analysisMap[c.hash] = {
-            type: c.typeHint || "other",
-            summary: c.message,
-          };
+  }
+  if (concurrency > 1 && batches.length > 1) {
+    console.log(
+      colorize(
+        `⚡ Running up to ${Math.min(concurrency, batches.length)} batches in parallel.`,
+        "magenta",
+      ),
+    );
+  }
+
+  // batches may finish out of order; results are merged in batch order below
+  const results = await mapWithConcurrency(
+    batches,
+    concurrency,
+    async (batch, i) => {
+      console.log(
+        colorize(
+          `🧠 Analyzing batch ${i + 1}/${batches.length} (${
+            batch.length
+          } commits)...`,
+          "magenta",
+        ),
+      );
+      try {
+        const res = await analyzeCommitsBatch({
+          provider,
+          keyRing,
+          model,
+          baseUrl,
+          limits,
+          structuredOutput,
+          progress,
+          usage,
+          progressLabel: `batch ${i + 1}/${batches.length}`,
+          commitsBatch: batch,
+        });
+        const skipped = batch.filter((c) => !res[c.hash]);
+        if (skipped.length) {
+          console.error(
+            colorize(
+              `  ${provider} batch ${i + 1}: no valid result for ${skipped.length} commit(s) after re-asking; using commit messages`,
+              "yellow",
+            ),
+          );
+        }
+        for (const c of batch) {
+          if (res[c.hash]) completed[c.hash] = res[c.hash];
         }
+        if (onProgress) await onProgress(completed);
+        if (cache) {
+          for (const c of batch) {
+            if (res[c.hash]) cache.set(c, res[c.hash]);
+          }
+          await cache.save().catch((err) => {
+            console.error(
+              colorize(`  cache write failed: ${err.message}`, "yellow"),
+            );
+          });
+        }
+        return { ...buildFallbackAnalysisMap(skipped), ...res };
+      } catch (e) {
+        console.error(
+          colorize(`  ${provider} batch ${i + 1} error: ${e.message}`, "red"),
+        );
+        return buildFallbackAnalysisMap(batch);
       }
+    },
+  );
+
+  for (const res of results) {
+    for (const [hash, analysis] of Object.entries(res)) {
+      if (!analysisMap[hash]) analysisMap[hash] = analysis;
     }
   }
 
@@ -1291,18 +4935,28 @@ async function analyzeRepoSummary({
   provider,
   keyRing,
   model,
+  baseUrl,
+  limits,
+  structuredOutput,
+  progress,
+  usage,
   repoName,
   commits,
 }) {
-  const prompt = buildRepoSummaryPrompt({ repoName, commits });
-  const rawText = await callProviderTextWithKeyRing({
+  const parsed = await requestValidatedJson({
     provider,
     keyRing,
     model,
-    prompt,
+    baseUrl,
+    limits,
+    structuredOutput,
+    progress,
+    usage,
+    progressLabel: `summary ${repoName}`,
+    usageRepos: { [repoName]: 1 },
+    prompt: buildRepoSummaryPrompt({ repoName, commits }),
+    schemaName: "repoSummary",
   });
-  const jsonText = extractJsonBlock(rawText, "{", "}");
-  const parsed = JSON.parse(jsonText);
   return normalizeRepoSummary(parsed, repoName);
 }
 
@@ -1310,17 +4964,26 @@ async function analyzeOverallSummary({
   provider,
   keyRing,
   model,
+  baseUrl,
+  limits,
+  structuredOutput,
+  progress,
+  usage,
   repoSummaries,
 }) {
-  const prompt = buildOverallSummaryPrompt({ repoSummaries });
-  const rawText = await callProviderTextWithKeyRing({
+  const parsed = await requestValidatedJson({
     provider,
     keyRing,
     model,
-    prompt,
+    baseUrl,
+    limits,
+    structuredOutput,
+    progress,
+    usage,
+    progressLabel: "overall summary",
+    prompt: buildOverallSummaryPrompt({ repoSummaries }),
+    schemaName: "overallSummary",
   });
-  const jsonText = extractJsonBlock(rawText, "{", "}");
-  const parsed = JSON.parse(jsonText);
   return {
     overall_themes: Array.isArray(parsed?.overall_themes)
       ? parsed.overall_themes
@@ -1343,18 +5006,27 @@ async function generateCvDocs({
   provider,
   keyRing,
   model,
+  baseUrl,
+  limits,
+  structuredOutput,
+  progress,
+  usage,
   repoSummaries,
   overallSummary,
 }) {
-  const prompt = buildCvPrompt({ repoSummaries, overallSummary });
-  const rawText = await callProviderTextWithKeyRing({
+  const parsed = await requestValidatedJson({
     provider,
     keyRing,
     model,
-    prompt,
+    baseUrl,
+    limits,
+    structuredOutput,
+    progress,
+    usage,
+    progressLabel: "CV",
+    prompt: buildCvPrompt({ repoSummaries, overallSummary }),
+    schemaName: "cv",
   });
-  const jsonText = extractJsonBlock(rawText, "{", "}");
-  const parsed = JSON.parse(jsonText);
   return {
     cvMd: parsed?.cv_md || "",
     cvBulletsMd: parsed?.cv_bullets_md || "",
@@ -1365,6 +5037,11 @@ async function generatePerformanceDoc({
   provider,
   keyRing,
   model,
+  baseUrl,
+  limits,
+  structuredOutput,
+  progress,
+  usage,
   repoSummaries,
   overallSummary,
 }) {
@@ -1373,12 +5050,293 @@ async function generatePerformanceDoc({
     provider,
     keyRing,
     model,
+    baseUrl,
+    limits,
+    structuredOutput,
+    progress,
+    usage,
+    progressLabel: "performance report",
+    expectedTokens: EXPECTED_OUTPUT_TOKENS.performance,
+    usageStage: "performance",
     prompt,
     responseMimeType: "text/plain",
   });
   return rawText?.trim() || "";
 }
 
+// ----------- DRY RUN -----------
+
+const DRY_RUN_PROMPTS_DIR = "prompts";
+
+// Every prompt a real run would send, built without calling a provider.
+// Commits already in the analysis cache are skipped like in a real run. The
+// repo summary prompts use commit messages in place of the not-yet-known
+// analyses, and the overall/CV/performance prompts use basic repo summaries,
+// so their sizes are close but not exact.
+function buildDryRunPlan({
+  enrichedCommits,
+  enrichedByRepo,
+  selectedRepos,
+  limits,
+  cache,
+  outputs,
+}) {
+  const pending = enrichedCommits.filter((c) => !cache?.get(c));
+  const budget = computeBatchBudget(limits);
+  const batches = chunkCommits(pending, budget);
+  const calls = batches.map((batch, i) => ({
+    stage: "analysis",
+    file: `analysis-batch-${String(i + 1).padStart(3, "0")}.txt`,
+    repos: repoTokenWeights(batch),
+    prompt: buildPrompt(batch),
+    outputTokens: batch.length * OUTPUT_TOKENS_PER_COMMIT,
+  }));
+
+  const fallback = buildFallbackAnalysisMap(enrichedCommits);
+  const repoSummaries = selectedRepos.map((repo, i) => {
+    const commits = (enrichedByRepo.get(repo.name) || []).map((c) => ({
+      ...c,
+      analysis: fallback[c.hash],
+    }));
+    const safeName = repo.name.replace(/[^\w.-]+/g, "_");
+    calls.push({
+      stage: "repoSummary",
+      file: `repo-summary-${String(i + 1).padStart(3, "0")}-${safeName}.txt`,
+      repos: { [repo.name]: 1 },
+      prompt: buildRepoSummaryPrompt({ repoName: repo.name, commits }),
+      outputTokens: EXPECTED_OUTPUT_TOKENS.repoSummary,
+    });
+    return buildBasicRepoSummary(repo.name, commits);
+  });
+
+  const overallSummary = buildBasicOverallSummary(repoSummaries);
+  calls.push({
+    stage: "overallSummary",
+    file: "overall-summary.txt",
+    prompt: buildOverallSummaryPrompt({ repoSummaries }),
+    outputTokens: EXPECTED_OUTPUT_TOKENS.overallSummary,
+  });
+  if (outputs.cv) {
+    calls.push({
+      stage: "cv",
+      file: "cv.txt",
+      prompt: buildCvPrompt({ repoSummaries, overallSummary }),
+      outputTokens: EXPECTED_OUTPUT_TOKENS.cv,
+    });
+  }
+  if (outputs.perf) {
+    calls.push({
+      stage: "performance",
+      file: "performance.txt",
+      prompt: buildPerformancePrompt({ repoSummaries, overallSummary }),
+      outputTokens: EXPECTED_OUTPUT_TOKENS.performance,
+    });
+  }
+
+  for (const call of calls) call.inputTokens = estimateTokens(call.prompt);
+  return {
+    calls,
+    batches,
+    budget,
+    cachedCommits: enrichedCommits.length - pending.length,
+  };
+}
+
+async function writeDryRun({ runDir, plan, price }) {
+  const promptsDir = path.join(runDir, DRY_RUN_PROMPTS_DIR);
+  await fs.mkdir(promptsDir, { recursive: true });
+  const estimate = createUsageTracker({ price });
+  for (const call of plan.calls) {
+    await fs.writeFile(path.join(promptsDir, call.file), call.prompt, "utf8");
+    estimate.record({
+      stage: call.stage,
+      repos: call.repos,
+      counts: {
+        inputTokens: call.inputTokens,
+        outputTokens: call.outputTokens,
+        estimated: true,
+      },
+    });
+  }
+
+  const report = {
+    batches: {
+      count: plan.batches.length,
+      commits: plan.batches.reduce((n, b) => n + b.length, 0),
+      cachedCommits: plan.cachedCommits,
+      promptTokenBudget: plan.budget.inputTokens,
+      maxCommitsPerBatch: plan.budget.maxCommits,
+      sizes: plan.batches.map((b) => b.length),
+    },
+    prompts: plan.calls.map((call) => ({
+      file: path.join(DRY_RUN_PROMPTS_DIR, call.file),
+      stage: call.stage,
+      inputTokens: call.inputTokens,
+      outputTokens: call.outputTokens,
+    })),
+    estimate: estimate.report(),
+  };
+  await fs.writeFile(
+    path.join(runDir, "dry-run.json"),
+    JSON.stringify(report, null, 2),
+    "utf8",
+  );
+  return report;
+}
+
+// ----------- CHECKPOINTS -----------
+
+const CHECKPOINT_FILE = "checkpoint.json";
+const CHECKPOINT_VERSION = 1;
+
+function createCheckpoint({ options, command, stagesToRun, startedAt }) {
+  return {
+    version: CHECKPOINT_VERSION,
+    startedAt: startedAt.toISOString(),
+    updatedAt: null,
+    completedAt: null,
+    command,
+    stagesToRun,
+    options,
+    stages: {
+      scan: false,
+      commits: false,
+      diffs: false,
+      analysis: false,
+      summaries: false,
+    },
+    repos: [],
+    filteredRepos: [],
+    reposWithCommits: [],
+    selectedRepos: [],
+    // repo paths whose diffs are fully collected into enrichedCommits
+    diffRepos: [],
+    enrichedCommits: [],
+    // only real LLM results; commits that fell back are retried on resume
+    analysisMap: {},
+    repoSummaries: {},
+    overallSummary: null,
+    errorsByRepo: {},
+    // token counts so far, so a resumed run reports the whole cost
+    usage: null,
+  };
+}
+
+async function loadCheckpoint(runDir) {
+  const filename = path.join(runDir, CHECKPOINT_FILE);
+  let parsed;
+  try {
+    parsed = JSON.parse(await fs.readFile(filename, "utf8"));
+  } catch (e) {
+    throw new Error(`no readable ${CHECKPOINT_FILE} in ${runDir} (${e.message})`);
+  }
+  if (parsed?.version !== CHECKPOINT_VERSION) {
+    throw new Error(`unsupported checkpoint version: ${parsed?.version}`);
+  }
+  return parsed;
+}
+
+async function writeCheckpoint(runDir, checkpoint) {
+  checkpoint.updatedAt = new Date().toISOString();
+  await writeJsonAtomic(path.join(runDir, CHECKPOINT_FILE), checkpoint);
+}
+
+function reviveCommitDates(commits) {
+  return (commits || []).map((c) => ({
+    ...c,
+    date: c.date ? new Date(c.date) : c.date,
+  }));
+}
+
+// ----------- RUN STAGES -----------
+
+const STAGES = ["scan", "commits", "diffs", "analysis", "summaries", "render"];
+
+// `first` is where a command starts when fed a raw.json; without one it
+// runs every stage from the scan up to `last`.
+const COMMAND_STAGES = {
+  run: { first: "scan", last: "render" },
+  scan: { first: "scan", last: "scan" },
+  collect: { first: "commits", last: "diffs" },
+  analyze: { first: "analysis", last: "summaries" },
+  render: { first: "render", last: "render" },
+};
+
+function resolveStagesToRun(command, fromRaw) {
+  const { first, last } = COMMAND_STAGES[command];
+  const start = fromRaw ? STAGES.indexOf(first) : 0;
+  return STAGES.slice(start, STAGES.indexOf(last) + 1);
+}
+
+async function loadRawData(filename) {
+  try {
+    return JSON.parse(await fs.readFile(filename, "utf8"));
+  } catch (e) {
+    throw new Error(`cannot read ${filename} (${e.message})`);
+  }
+}
+
+function seedCheckpointFromRaw(checkpoint, raw, firstStage) {
+  const seeded = STAGES.slice(0, STAGES.indexOf(firstStage));
+
+  if (seeded.includes("scan")) {
+    if (!Array.isArray(raw.reposAfterFilters)) {
+      throw new Error("raw.json has no scanned repositories; run `scan` first");
+    }
+    checkpoint.repos = raw.reposScanned || raw.reposAfterFilters;
+    checkpoint.filteredRepos = raw.reposAfterFilters;
+    checkpoint.stages.scan = true;
+  }
+
+  if (seeded.includes("commits")) {
+    if (!raw.enrichedCommits?.length || !raw.selectedRepos?.length) {
+      throw new Error("raw.json has no collected commits; run `collect` first");
+    }
+    checkpoint.reposWithCommits = raw.reposWithCommits || [];
+    checkpoint.selectedRepos = raw.selectedRepos;
+    checkpoint.enrichedCommits = raw.enrichedCommits;
+    checkpoint.diffRepos = raw.selectedRepos.map((r) => r.path);
+    checkpoint.stages.commits = true;
+    checkpoint.stages.diffs = true;
+  }
+
+  if (seeded.includes("analysis")) {
+    if (!raw.analysisMap || !Object.keys(raw.analysisMap).length) {
+      throw new Error("raw.json has no commit analysis; run `analyze` first");
+    }
+    checkpoint.analysisMap = raw.analysisMap;
+    checkpoint.stages.analysis = true;
+  }
+
+  if (seeded.includes("summaries")) {
+    if (!raw.repoSummaries?.length) {
+      throw new Error("raw.json has no repo summaries; run `analyze` first");
+    }
+    // repoSummaries is written in selectedRepos order
+    raw.selectedRepos.forEach((r, idx) => {
+      if (raw.repoSummaries[idx]) {
+        checkpoint.repoSummaries[r.path] = raw.repoSummaries[idx];
+      }
+    });
+    checkpoint.overallSummary = raw.overallSummary || null;
+    checkpoint.stages.summaries = true;
+  }
+
+  checkpoint.errorsByRepo = raw.errorsByRepo || {};
+}
+
+function rawFilterDefaults(raw) {
+  if (!raw) return null;
+  const authorEmails = Array.from(
+    new Set((raw.enrichedCommits || []).map((c) => c.authorEmail)),
+  ).filter(Boolean);
+  return {
+    emails: raw.filters?.emails?.length ? raw.filters.emails : authorEmails,
+    since: raw.filters?.since || null,
+    until: raw.filters?.until || null,
+  };
+}
+
 // ----------- MARKDOWN GENERATOR -----------
 
 function pushGroup(lines, title, items) {
@@ -1424,11 +5382,77 @@ function inferTechFromEvidence(evidenceLines) {
   return Array.from(techs);
 }
 
+function formatRoleCounts(commits) {
+  const coAuthored = commits.filter((c) => c.role === "co-author").length;
+  return `${commits.length - coAuthored} authored, ${coAuthored} co-authored`;
+}
+
+function aggregateCommitStats(commits) {
+  const files = new Set();
+  const totals = { commits: commits.length, insertions: 0, deletions: 0 };
+  for (const c of commits) {
+    for (const f of c.stats?.files || []) files.add(f.path);
+    totals.insertions += c.stats?.insertions || 0;
+    totals.deletions += c.stats?.deletions || 0;
+  }
+  return { ...totals, files: files.size };
+}
+
+function buildStatsTable(label, groups) {
+  const fmt = (n) => n.toLocaleString("en-US");
+  const lines = [
+    `| ${label} | Commits | Files | Lines added | Lines removed |`,
+    "| --- | ---: | ---: | ---: | ---: |",
+  ];
+  for (const [name, commits] of groups) {
+    const t = aggregateCommitStats(commits);
+    lines.push(
+      `| ${name} | ${t.commits} | ${fmt(t.files)} | +${fmt(t.insertions)} | -${fmt(t.deletions)} |`,
+    );
+  }
+  return lines;
+}
+
+// Hard numbers from `git show --numstat`, so the prose has something exact
+// next to it. Commits from runs that predate numstat collection are skipped.
+function buildChangeStatsSection(enrichedCommits) {
+  const commits = enrichedCommits.filter((c) => c.stats);
+  if (!commits.length) return [];
+  const groupBy = (keyOf) => {
+    const groups = new Map();
+    for (const c of commits) {
+      const key = keyOf(c);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(c);
+    }
+    return groups;
+  };
+  const byMonth = [...groupBy((c) => c.date.toISOString().slice(0, 7))].sort(
+    ([a], [b]) => a.localeCompare(b),
+  );
+  const total = aggregateCommitStats(commits);
+  const renames = commits.reduce((sum, c) => sum + c.stats.renames, 0);
+  const fmt = (n) => n.toLocaleString("en-US");
+
+  return [
+    "## Change Statistics",
+    `${fmt(total.files)} files touched, +${fmt(total.insertions)} -${fmt(total.deletions)} lines, ${renames} renamed (files excluded by diff filters are not counted).`,
+    "",
+    "### By Repo",
+    ...buildStatsTable("Repo", groupBy((c) => c.repoName)),
+    "",
+    "### By Month",
+    ...buildStatsTable("Month", byMonth),
+    "",
+  ];
+}
+
 function buildSummaryDoc({
-  emails,
+  author,
   since,
   until,
   totalCommits,
+  enrichedCommits = [],
   repoSummaries,
   overallSummary,
 }) {
@@ -1436,11 +5460,13 @@ function buildSummaryDoc({
   lines.push("# Contribution Summary");
   lines.push("");
   lines.push(`Generated: ${new Date().toISOString()}`);
-  lines.push(`Emails: ${emails.join(", ")}`);
+  lines.push(`Author: ${author}`);
   if (since || until) {
     lines.push(`Date range: ${since || "?"} -> ${until || "?"}`);
   }
-  lines.push(`Repos: ${repoSummaries.length} | Commits: ${totalCommits}`);
+  lines.push(
+    `Repos: ${repoSummaries.length} | Commits: ${totalCommits} (${formatRoleCounts(enrichedCommits)})`,
+  );
   lines.push("");
 
   lines.push("## Overall Summary");
@@ -1467,9 +5493,18 @@ function buildSummaryDoc({
     lines.push("");
   }
 
+  lines.push(...buildChangeStatsSection(enrichedCommits));
+
   lines.push("## Per-Repo Summary");
   for (const summary of repoSummaries) {
+    const repoCommits = enrichedCommits.filter(
+      (c) => c.repoName === summary.repo,
+    );
     lines.push(`### ${summary.repo}`);
+    if (repoCommits.length) {
+      lines.push(`Commits: ${formatRoleCounts(repoCommits)}`);
+      lines.push("");
+    }
     lines.push("**Themes**");
     lines.push(...formatBulletList(summary.themes));
     lines.push("");
@@ -1602,11 +5637,11 @@ async function createBragDoc({
   selectedRepos,
   enrichedByRepo,
   analysisMap,
-  emails,
+  author,
   outputDir,
 }) {
   const lines = [];
-  lines.push(`# Brag Document for ${emails.join(", ")}`);
+  lines.push(`# Brag Document for ${author}`);
   lines.push("");
 
   let totalCommits = 0;
@@ -1618,6 +5653,10 @@ async function createBragDoc({
 
     lines.push(`## 📂 Repository: ${repo.name}`);
     lines.push("");
+    if (commits.some((c) => c.role === "co-author")) {
+      lines.push(`Commits: ${formatRoleCounts(commits)}`);
+      lines.push("");
+    }
 
     const feats = [];
     const fixes = [];
@@ -1633,7 +5672,9 @@ async function createBragDoc({
       };
 
       const dateStr = c.date?.toISOString?.().slice(0, 10) ?? "";
-      const base = `- ${a.summary} (${shortHash(c.hash)}${dateStr ? ", " + dateStr : ""})`;
+      const role =
+        c.role === "co-author" ? `, co-authored with ${c.authorName}` : "";
+      const base = `- ${a.summary} (${shortHash(c.hash)}${dateStr ? ", " + dateStr : ""}${role})`;
 
       switch (a.type) {
         case "feature":
@@ -1679,18 +5720,402 @@ async function createBragDoc({
   return { filename, totalCommits };
 }
 
+// ----------- STATS REPORT -----------
+
+// Numbers computed locally from the enriched commits; no LLM involved. Days,
+// weeks and hours are in the local time zone of this machine.
+
+const SPARK_CHARS = "▁▂▃▄▅▆▇█";
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STATS_TOP_EXTENSIONS = 15;
+
+function sparkline(values) {
+  const max = Math.max(0, ...values);
+  return values
+    .map((v) =>
+      v ? SPARK_CHARS[Math.ceil((v / max) * SPARK_CHARS.length) - 1] : " ",
+    )
+    .join("");
+}
+
+function localDateKey(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+// weeks start on Monday
+function startOfLocalWeek(date) {
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+  return day;
+}
+
+function startOfLocalMonth(date) {
+  return new Date(date.getFullYear(), date.getMonth(), 1);
+}
+
+// Every period from the first to the last commit, so quiet periods show up
+// as zeros instead of disappearing from the charts.
+function periodKeys(dates, startOf, next) {
+  if (!dates.length) return [];
+  const last = startOf(dates.at(-1));
+  const keys = [];
+  for (let at = startOf(dates[0]); at <= last; at = next(at)) {
+    keys.push(localDateKey(at));
+  }
+  return keys;
+}
+
+function dayNumber(dateKey) {
+  const [y, m, d] = dateKey.split("-").map(Number);
+  return Date.UTC(y, m - 1, d) / DAY_MS;
+}
+
+function computeStreaks(dayKeys) {
+  const runs = [];
+  for (const key of [...dayKeys].sort()) {
+    const run = runs.at(-1);
+    if (run && dayNumber(key) - dayNumber(run.end) === 1) {
+      run.days++;
+      run.end = key;
+    } else {
+      runs.push({ days: 1, start: key, end: key });
+    }
+  }
+  const longest = runs.reduce(
+    (best, run) => (run.days > best.days ? run : best),
+    runs[0] || null,
+  );
+  return { longest, latest: runs.at(-1) || null };
+}
+
+function emptyStatsBucket() {
+  return { commits: 0, insertions: 0, deletions: 0 };
+}
+
+function statsBucket(groups, key) {
+  if (!groups.has(key)) groups.set(key, emptyStatsBucket());
+  return groups.get(key);
+}
+
+function countCommit(bucket, commit) {
+  bucket.commits++;
+  bucket.insertions += commit.stats?.insertions || 0;
+  bucket.deletions += commit.stats?.deletions || 0;
+}
+
+function buildContributionStats({ enrichedCommits, analysisMap }) {
+  const commits = [...enrichedCommits].sort((a, b) => a.date - b.date);
+  const dates = commits.map((c) => c.date);
+  const byWeek = new Map(
+    periodKeys(dates, startOfLocalWeek, (d) => {
+      const next = new Date(d);
+      next.setDate(d.getDate() + 7);
+      return next;
+    }).map((k) => [k, emptyStatsBucket()]),
+  );
+  const byMonth = new Map(
+    periodKeys(
+      dates,
+      startOfLocalMonth,
+      (d) => new Date(d.getFullYear(), d.getMonth() + 1, 1),
+    ).map((k) => [k.slice(0, 7), emptyStatsBucket()]),
+  );
+  const byRepo = new Map();
+  const byType = new Map();
+  const byExtension = new Map();
+  const byHour = new Array(24).fill(0);
+  const byWeekday = new Array(7).fill(0);
+  const activeDays = new Set();
+  const totals = emptyStatsBucket();
+
+  for (const c of commits) {
+    const type = analysisMap[c.hash]?.type || c.typeHint || "other";
+    countCommit(totals, c);
+    const week = localDateKey(startOfLocalWeek(c.date));
+    countCommit(statsBucket(byWeek, week), c);
+    countCommit(statsBucket(byMonth, localDateKey(c.date).slice(0, 7)), c);
+    countCommit(statsBucket(byRepo, c.repoName), c);
+    countCommit(statsBucket(byType, type), c);
+    byHour[c.date.getHours()]++;
+    byWeekday[(c.date.getDay() + 6) % 7]++;
+    activeDays.add(localDateKey(c.date));
+
+    // commits from runs before numstat collection only have file names
+    const files =
+      c.stats?.files ||
+      (c.files || []).map((p) => ({ path: p, added: 0, removed: 0 }));
+    for (const f of files) {
+      const ext = path.extname(f.path).toLowerCase() || "(none)";
+      const entry = byExtension.get(ext) || {
+        files: 0,
+        insertions: 0,
+        deletions: 0,
+      };
+      entry.files++;
+      entry.insertions += f.added;
+      entry.deletions += f.removed;
+      byExtension.set(ext, entry);
+    }
+  }
+
+  const byCommits = (a, b) => b[1].commits - a[1].commits;
+  return {
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    range: dates.length
+      ? { first: localDateKey(dates[0]), last: localDateKey(dates.at(-1)) }
+      : null,
+    totals: {
+      ...totals,
+      repos: byRepo.size,
+      activeDays: activeDays.size,
+    },
+    streaks: computeStreaks(activeDays),
+    byWeek: [...byWeek].map(([week, b]) => ({ week, ...b })),
+    byMonth: [...byMonth].map(([month, b]) => ({ month, ...b })),
+    byRepo: [...byRepo].sort(byCommits).map(([repo, b]) => ({ repo, ...b })),
+    byType: [...byType].sort(byCommits).map(([type, b]) => ({ type, ...b })),
+    byHour: byHour.map((commits, hour) => ({ hour, commits })),
+    byWeekday: WEEKDAYS.map((day, i) => ({ day, commits: byWeekday[i] })),
+    byExtension: [...byExtension]
+      .sort((a, b) => b[1].files - a[1].files)
+      .map(([extension, e]) => ({ extension, ...e })),
+  };
+}
+
+function buildStatsDoc({ stats, author }) {
+  const fmt = (n) => n.toLocaleString("en-US");
+  const table = (label, rows, keyOf) => [
+    `| ${label} | Commits | Lines added | Lines removed |`,
+    "| --- | ---: | ---: | ---: |",
+    ...rows.map(
+      (r) =>
+        `| ${keyOf(r)} | ${r.commits} | +${fmt(r.insertions)} | -${fmt(r.deletions)} |`,
+    ),
+  ];
+  const chart = (title, rows, keyOf) => {
+    const values = rows.map((r) => r.commits);
+    return [
+      `### ${title}`,
+      "```",
+      `${sparkline(values)}  max ${Math.max(0, ...values)}`,
+      `${keyOf(rows[0])} .. ${keyOf(rows.at(-1))}`,
+      "```",
+      "",
+    ];
+  };
+  const { totals, streaks, range } = stats;
+  const streak = (s) =>
+    s
+      ? `${s.days} day${s.days === 1 ? "" : "s"} (${s.start} -> ${s.end})`
+      : "-";
+  const busiestHours = [...stats.byHour]
+    .sort((a, b) => b.commits - a.commits)
+    .filter((h) => h.commits)
+    .slice(0, 3)
+    .map((h) => `${String(h.hour).padStart(2, "0")}:00 (${h.commits})`);
+
+  const lines = [
+    "# Contribution Statistics",
+    "",
+    `Generated: ${new Date().toISOString()}`,
+    `Author: ${author}`,
+    `Range: ${range ? `${range.first} -> ${range.last}` : "-"} | Time zone: ${stats.timeZone}`,
+    `Commits: ${totals.commits} | Repos: ${totals.repos} | Active days: ${totals.activeDays} | Lines: +${fmt(totals.insertions)} -${fmt(totals.deletions)}`,
+    "",
+    "## Activity",
+    `- Longest streak: ${streak(streaks.longest)}`,
+    `- Latest streak: ${streak(streaks.latest)}`,
+    `- Busiest hours: ${busiestHours.join(", ") || "-"}`,
+    "",
+  ];
+  if (stats.byWeek.length) {
+    lines.push(...chart("Commits per week", stats.byWeek, (r) => r.week));
+    lines.push(...chart("Commits per month", stats.byMonth, (r) => r.month));
+  }
+  lines.push(
+    ...chart("Commits per hour of day", stats.byHour, (r) =>
+      String(r.hour).padStart(2, "0"),
+    ),
+  );
+  lines.push("### Commits per weekday");
+  lines.push("| Day | Commits |", "| --- | ---: |");
+  for (const d of stats.byWeekday) lines.push(`| ${d.day} | ${d.commits} |`);
+  lines.push("");
+
+  lines.push("## By Month");
+  lines.push(...table("Month", stats.byMonth, (r) => r.month), "");
+  lines.push("## By Repo");
+  lines.push(...table("Repo", stats.byRepo, (r) => r.repo), "");
+  lines.push("## By Change Type");
+  lines.push(...table("Type", stats.byType, (r) => r.type), "");
+
+  lines.push("## By File Extension");
+  lines.push(
+    "| Extension | Files changed | Lines added | Lines removed |",
+    "| --- | ---: | ---: | ---: |",
+  );
+  for (const e of stats.byExtension.slice(0, STATS_TOP_EXTENSIONS)) {
+    lines.push(
+      `| ${e.extension} | ${e.files} | +${fmt(e.insertions)} | -${fmt(e.deletions)} |`,
+    );
+  }
+  if (stats.byExtension.length > STATS_TOP_EXTENSIONS) {
+    lines.push(
+      "",
+      `${stats.byExtension.length - STATS_TOP_EXTENSIONS} more extensions in stats.json.`,
+    );
+  }
+  lines.push("");
+  return lines.join("\n");
+}
+
+// Text starting with =, +, -, @, tab or CR runs as a formula in Excel and
+// Sheets, so it gets a leading ' (numbers are left alone).
+function toCsv(header, rows) {
+  const cell = (v) => {
+    let text = v == null ? "" : String(v);
+    if (typeof v === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [header, ...rows]
+    .map((row) => `${row.map(cell).join(",")}\n`)
+    .join("");
+}
+
+// stats.md, stats.json and two CSVs: one row per week and one per commit
+async function writeStatsReport({
+  enrichedCommits,
+  analysisMap,
+  author,
+  outputDir,
+}) {
+  const stats = buildContributionStats({ enrichedCommits, analysisMap });
+  await fs.writeFile(
+    path.join(outputDir, "stats.json"),
+    JSON.stringify(stats, null, 2),
+    "utf8",
+  );
+  await fs.writeFile(
+    path.join(outputDir, "stats.md"),
+    buildStatsDoc({ stats, author }),
+    "utf8",
+  );
+  await fs.writeFile(
+    path.join(outputDir, "stats-weekly.csv"),
+    toCsv(
+      ["week", "commits", "insertions", "deletions"],
+      stats.byWeek.map((w) => [w.week, w.commits, w.insertions, w.deletions]),
+    ),
+    "utf8",
+  );
+  const commits = [...enrichedCommits].sort((a, b) => a.date - b.date);
+  await fs.writeFile(
+    path.join(outputDir, "stats-commits.csv"),
+    toCsv(
+      [
+        "date",
+        "repo",
+        "hash",
+        "type",
+        "files",
+        "insertions",
+        "deletions",
+        "message",
+      ],
+      commits.map((c) => [
+        c.date.toISOString(),
+        c.repoName,
+        c.hash,
+        analysisMap[c.hash]?.type || c.typeHint || "other",
+        c.stats?.filesChanged ?? c.files?.length ?? 0,
+        c.stats?.insertions ?? "",
+        c.stats?.deletions ?? "",
+        c.message,
+      ]),
+    ),
+    "utf8",
+  );
+  return stats;
+}
+
 // ----------- MAIN -----------
 
-async function main() {
-  const args = parseArgs();
+// summary.md, brag.md and the stats are built locally; every --mode adds
+// cv.md or performance.md, which the LLM writes
+function renderNeedsLlm(only) {
+  return !only || only === "cv" || only === "perf";
+}
+
+async function resolveRunOptions(
+  args,
+  {
+    isInteractive,
+    colorize,
+    analyzes = true,
+    renders = false,
+    needsFilters = true,
+    defaults,
+    providerModules = [],
+  },
+) {
   const rootPath = path.resolve(args.path || ".");
-  const isInteractive = process.stdin.isTTY && process.stdout.isTTY;
-  const colorize = makeColorizer(process.stdout.isTTY);
 
   const includeGlobs =
     parseCommaList(args.include || process.env.GITBRAG_INCLUDE) || [];
   const excludeGlobs =
     parseCommaList(args.exclude || process.env.GITBRAG_EXCLUDE) || [];
+  const diffPaths = {
+    include:
+      parseCommaList(args.diffInclude || process.env.GITBRAG_DIFF_INCLUDE) ||
+      [],
+    exclude:
+      parseCommaList(args.diffExclude || process.env.GITBRAG_DIFF_EXCLUDE) ||
+      [],
+    useDefaults: !(
+      args.noDefaultDiffExcludes ||
+      parseBoolEnv(process.env.GITBRAG_NO_DEFAULT_DIFF_EXCLUDES)
+    ),
+  };
+  const refs = {
+    all: Boolean(args.allRefs || parseBoolEnv(process.env.GITBRAG_ALL_REFS)),
+    branches:
+      parseCommaList(args.branches || process.env.GITBRAG_BRANCHES) || [],
+    remotes: parseCommaList(args.remotes || process.env.GITBRAG_REMOTES) || [],
+  };
+  const submodules = Boolean(
+    args.submodules || parseBoolEnv(process.env.GITBRAG_SUBMODULES),
+  );
+  const scan = {
+    maxDepth: parseNonNegativeInt(
+      args.maxDepth ?? process.env.GITBRAG_MAX_DEPTH,
+      null,
+    ),
+    ignore:
+      parseCommaList(args.scanIgnore || process.env.GITBRAG_SCAN_IGNORE) || [],
+    useDefaults: !(
+      args.noDefaultScanIgnores ||
+      parseBoolEnv(process.env.GITBRAG_NO_DEFAULT_SCAN_IGNORES)
+    ),
+    concurrency: Math.max(
+      1,
+      Math.floor(
+        clampNumber(
+          args.scanConcurrency || process.env.GITBRAG_SCAN_CONCURRENCY,
+          8,
+        ),
+      ),
+    ),
+  };
+  const squashMerges = {
+    enabled: Boolean(
+      args.squashMerges || parseBoolEnv(process.env.GITBRAG_SQUASH_MERGES),
+    ),
+    mainBranch: args.mainBranch || process.env.GITBRAG_MAIN_BRANCH || null,
+  };
   const outputBaseDir = path.resolve(
     args.outputDir || process.env.GITBRAG_OUTPUT_DIR || "./contrib-output",
   );
@@ -1702,15 +6127,72 @@ async function main() {
     args.maxCommits || process.env.GITBRAG_MAX_COMMITS,
     200,
   );
-  const noLlm = Boolean(args.noLlm || parseBoolEnv(process.env.GITBRAG_NO_LLM));
-  const includeMerges = Boolean(
-    args.includeMerges || parseBoolEnv(process.env.GITBRAG_INCLUDE_MERGES),
+  const noLlm = Boolean(args.noLlm || parseBoolEnv(process.env.GITBRAG_NO_LLM));
+  const includeMerges = Boolean(
+    args.includeMerges || parseBoolEnv(process.env.GITBRAG_INCLUDE_MERGES),
+  );
+  const fullDiff = Boolean(
+    args.fullDiff || parseBoolEnv(process.env.GITBRAG_FULL_DIFF),
+  );
+  const only =
+    (args.only || process.env.GITBRAG_ONLY || "").trim().toLowerCase() || null;
+  const cacheDir = resolveCacheDir(
+    args.cacheDir || process.env.GITBRAG_CACHE_DIR,
+  );
+  const concurrency = Math.floor(
+    clampNumber(args.concurrency || process.env.GITBRAG_CONCURRENCY, 1),
+  );
+  const retry = {
+    maxRetries: parseNonNegativeInt(
+      args.maxRetries ?? process.env.GITBRAG_MAX_RETRIES,
+      DEFAULT_RETRY.maxRetries,
+    ),
+    baseDelayMs: clampNumber(
+      args.retryBaseMs || process.env.GITBRAG_RETRY_BASE_MS,
+      DEFAULT_RETRY.baseDelayMs,
+    ),
+    maxDelayMs: clampNumber(
+      args.retryMaxMs || process.env.GITBRAG_RETRY_MAX_MS,
+      DEFAULT_RETRY.maxDelayMs,
+    ),
+  };
+  // null means "look it up in the provider's model table"
+  const priceTableFile = args.priceTable || process.env.GITBRAG_PRICE_TABLE;
+  const priceTable = priceTableFile ? path.resolve(priceTableFile) : null;
+  const tokenLimits = {
+    contextTokens: clampNumber(
+      args.contextTokens || process.env.GITBRAG_CONTEXT_TOKENS,
+      null,
+    ),
+    maxOutputTokens: clampNumber(
+      args.maxOutputTokens || process.env.GITBRAG_MAX_OUTPUT_TOKENS,
+      null,
+    ),
+    batchTokens: clampNumber(
+      args.batchTokens || process.env.GITBRAG_BATCH_TOKENS,
+      null,
+    ),
+  };
+  const noCache = Boolean(
+    args.noCache || parseBoolEnv(process.env.GITBRAG_NO_CACHE),
+  );
+  // some OpenAI-compatible servers reject response_format
+  const structuredOutput = !(
+    args.noStructuredOutput ||
+    parseBoolEnv(process.env.GITBRAG_NO_STRUCTURED_OUTPUT)
   );
-  const fullDiff = Boolean(
-    args.fullDiff || parseBoolEnv(process.env.GITBRAG_FULL_DIFF),
+  const stream = !(
+    args.noStream || parseBoolEnv(process.env.GITBRAG_NO_STREAM)
   );
-  const only =
-    (args.only || process.env.GITBRAG_ONLY || "").trim().toLowerCase() || null;
+  const dryRun = Boolean(
+    args.dryRun || parseBoolEnv(process.env.GITBRAG_DRY_RUN),
+  );
+  const redact = !(
+    args.noRedact || parseBoolEnv(process.env.GITBRAG_NO_REDACT)
+  );
+  const redactRulesFile =
+    args.redactRules || process.env.GITBRAG_REDACT_RULES;
+  const redactRules = redactRulesFile ? path.resolve(redactRulesFile) : null;
 
   let mode = String(
     args.mode ||
@@ -1730,19 +6212,48 @@ async function main() {
     );
     process.exit(1);
   }
-  if (only && !["brag", "summary", "cv", "perf"].includes(only)) {
+  if (only && !["brag", "summary", "stats", "cv", "perf"].includes(only)) {
     console.error(
-      colorize("ERROR: --only must be brag, summary, cv, or perf.", "red"),
+      colorize(
+        "ERROR: --only must be brag, summary, stats, cv, or perf.",
+        "red",
+      ),
     );
     process.exit(1);
   }
+  const usesLlm = analyzes || (renders && renderNeedsLlm(only));
 
   let provider = normalizeProvider(
     args.provider || process.env.GITBRAG_PROVIDER || "gemini",
   );
   let model = args.model || process.env.GITBRAG_MODEL;
-  let since = args.since || process.env.GITBRAG_SINCE; // optional
-  let until = args.until || process.env.GITBRAG_UNTIL; // optional
+  let baseUrl = args.baseUrl || process.env.GITBRAG_BASE_URL || null;
+  let since = args.since || process.env.GITBRAG_SINCE || defaults?.since; // optional
+  let until = args.until || process.env.GITBRAG_UNTIL || defaults?.until; // optional
+
+  let identity = null;
+  const identityFile = args.identity || process.env.GITBRAG_IDENTITY;
+  if (identityFile) {
+    try {
+      identity = await loadIdentityConfig(path.resolve(identityFile));
+    } catch (e) {
+      console.error(
+        colorize(
+          `ERROR: cannot read identity file ${identityFile}: ${e.message}`,
+          "red",
+        ),
+      );
+      process.exit(1);
+    }
+  }
+  const authorNames = Array.from(
+    new Set([
+      ...(parseCommaList(
+        args.authorName || process.env.GITBRAG_AUTHOR_NAMES,
+      ) || []),
+      ...(identity?.names || []),
+    ]),
+  );
 
   const emailsFromList = parseCommaList(
     args.emails || process.env.GITBRAG_EMAILS,
@@ -1752,287 +6263,958 @@ async function main() {
     ? emailsFromList
     : emailSingle
       ? [emailSingle]
-      : null;
+      : identity || authorNames.length
+        ? []
+        : defaults?.emails || null;
+  if (identity) emails = [...emails, ...identity.emails];
 
   if (isInteractive) {
-    if (!noLlm) {
+    if (usesLlm && !noLlm) {
+      const menu = listProviders();
       const normalized = normalizeProvider(provider) || "gemini";
       const defaultProviderIndex = Math.max(
         0,
-        PROVIDER_MENU.findIndex((p) => p.value === normalized),
+        menu.findIndex((p) => p.name === normalized),
+      );
+
+      const pickedProviderLabel = await selectFromList(
+        "Select provider",
+        menu.map((p) => p.label),
+        defaultProviderIndex,
+        colorize,
+      );
+
+      provider =
+        menu.find((p) => p.label === pickedProviderLabel)?.name || "gemini";
+      const def = getProvider(provider);
+
+      if (def.models?.length) {
+        const choices = def.models;
+        const preferred = model || def.defaultModel;
+        const defaultIndex = Math.max(0, choices.indexOf(preferred));
+
+        model = await selectFromList(
+          "Select model",
+          choices,
+          defaultIndex,
+          colorize,
+        );
+      } else {
+        model = await promptRequired(
+          "Model name",
+          model || def.defaultModel,
+          colorize,
+        );
+      }
+
+      if (def.requiresBaseUrl) {
+        baseUrl = await promptRequired(
+          "Base URL (e.g. http://localhost:8000/v1)",
+          resolveBaseUrl(provider, baseUrl),
+          colorize,
+        );
+      }
+    }
+
+    if (needsFilters) {
+      if (!emails?.length && !authorNames.length) {
+        const input = await promptRequired(
+          "Author emails (comma-separated)",
+          null,
+          colorize,
+        );
+        emails = parseCommaList(input) || [];
+      }
+
+      since = await promptOptional("Since date (YYYY-MM-DD)", since, colorize);
+      until = await promptOptional("Until date (YYYY-MM-DD)", until, colorize);
+    }
+  }
+
+  emails = Array.from(
+    new Set((emails || []).map((e) => e.trim()).filter(Boolean)),
+  );
+
+  if (needsFilters && !emails.length && !authorNames.length) {
+    console.error(
+      colorize(
+        "ERROR: --emails/--email, --author-name or --identity is required.",
+        "red",
+      ),
+    );
+    process.exit(1);
+  }
+
+  if (usesLlm && !noLlm) {
+    if (!provider) {
+      const names = listProviders().map((p) => p.name);
+      console.error(
+        colorize(`ERROR: --provider must be one of: ${names.join(", ")}.`, "red"),
+      );
+      process.exit(1);
+    }
+    const def = getProvider(provider);
+
+    if (!model) {
+      model = def.defaultModel;
+    }
+    if (!model) {
+      console.error(
+        colorize(`ERROR: --model is required for ${provider}.`, "red"),
+      );
+      process.exit(1);
+    }
+
+    if (baseUrl && !def.supportsBaseUrl) {
+      console.error(
+        colorize(
+          `ERROR: --base-url/GITBRAG_BASE_URL is not supported by ${provider}.`,
+          "red",
+        ),
+      );
+      process.exit(1);
+    }
+    baseUrl = resolveBaseUrl(provider, baseUrl);
+    if (def.requiresBaseUrl && !baseUrl) {
+      const envNames = ["GITBRAG_BASE_URL", ...def.baseUrlEnv].join("/");
+      console.error(
+        colorize(
+          `ERROR: --base-url or ${envNames} is required for ${provider}.`,
+          "red",
+        ),
+      );
+      process.exit(1);
+    }
+  }
+
+  return {
+    rootPath,
+    includeGlobs,
+    excludeGlobs,
+    diffPaths,
+    refs,
+    squashMerges,
+    submodules,
+    scan,
+    outputBaseDir,
+    maxDiffBytes,
+    maxCommits,
+    noLlm,
+    includeMerges,
+    fullDiff,
+    only,
+    cacheDir,
+    noCache,
+    structuredOutput,
+    stream,
+    dryRun,
+    concurrency,
+    retry,
+    tokenLimits,
+    priceTable,
+    redact,
+    redactRules,
+    mode,
+    provider,
+    model,
+    baseUrl,
+    providerModules,
+    since,
+    until,
+    emails,
+    identity,
+    authorNames,
+  };
+}
+
+function cliFlagName(argKey) {
+  return `--${argKey.replace(/[A-Z]/g, (m) => `-${m.toLowerCase()}`)}`;
+}
+
+async function resolveApiKeys(args, provider, { isInteractive, colorize }) {
+  const def = getProvider(provider);
+  const { keyEnv = {}, keyArgs = {} } = def;
+
+  const providerList = parseCommaList(
+    (keyArgs.list && args[keyArgs.list]) ||
+      (keyEnv.list && process.env[keyEnv.list]),
+  );
+
+  const genericList = parseCommaList(
+    args.apiKeys || process.env.GITBRAG_API_KEYS,
+  );
+
+  const providerSingle =
+    (keyArgs.single && args[keyArgs.single]) ||
+    (keyEnv.single && process.env[keyEnv.single]) ||
+    null;
+
+  const genericSingle =
+    args.apiKey || process.env.GITBRAG_API_KEY || null;
+
+  let apiKeys = [
+    ...(providerList || []),
+    ...(genericList || []),
+    ...(providerSingle ? [providerSingle] : []),
+    ...(genericSingle ? [genericSingle] : []),
+  ]
+    .map((k) => k.trim())
+    .filter(Boolean);
+
+  apiKeys = Array.from(new Set(apiKeys));
+
+  // local endpoints normally need no key; pass any configured ones through
+  if (!def.requiresKey) return apiKeys;
+
+  if (isInteractive && !apiKeys.length) {
+    const input = await promptRequired(
+      `${def.label} API key(s) (comma-separated)`,
+      null,
+      colorize,
+    );
+    apiKeys = parseCommaList(input) || [];
+  }
+
+  if (!apiKeys.length) {
+    const hints = [
+      ...[keyArgs.single, keyArgs.list].filter(Boolean).map(cliFlagName),
+      ...[keyEnv.single, keyEnv.list].filter(Boolean),
+      "--api-key/--api-keys",
+      "GITBRAG_API_KEY(S)",
+    ];
+    console.error(
+      colorize(
+        `ERROR: an API key for ${provider} is required (${hints.join(", ")}).`,
+        "red",
+      ),
+    );
+    process.exit(1);
+  }
+
+  return apiKeys;
+}
+
+async function main() {
+  const args = parseArgs();
+  const isInteractive = process.stdin.isTTY && process.stdout.isTTY;
+  const colorize = makeColorizer(process.stdout.isTTY);
+
+  const resumeDir = args.resume ? path.resolve(args.resume) : null;
+  let checkpoint = null;
+  if (resumeDir) {
+    try {
+      checkpoint = await loadCheckpoint(resumeDir);
+    } catch (e) {
+      console.error(colorize(`ERROR: cannot resume: ${e.message}`, "red"));
+      process.exit(1);
+    }
+  }
+
+  let command = checkpoint?.command || args.command;
+  if (!checkpoint && args.fromRaw) {
+    if (command !== "run" && command !== "render") {
+      console.error(
+        colorize(`ERROR: --from-raw cannot be used with ${command}.`, "red"),
+      );
+      process.exit(1);
+    }
+    // regenerate documents only: no git, no per-commit or summary LLM calls
+    command = "render";
+  }
+  const rawInput = args.fromRaw || args.raw;
+  const rawPath = !checkpoint && rawInput ? path.resolve(rawInput) : null;
+  let raw = null;
+  if (rawPath) {
+    if (command === "run" || command === "scan") {
+      console.error(
+        colorize(
+          "ERROR: --raw is only supported by collect, analyze and render.",
+          "red",
+        ),
+      );
+      process.exit(1);
+    }
+    try {
+      raw = await loadRawData(rawPath);
+    } catch (e) {
+      console.error(colorize(`ERROR: ${e.message}`, "red"));
+      process.exit(1);
+    }
+  }
+
+  const stagesToRun =
+    checkpoint?.stagesToRun || resolveStagesToRun(command, Boolean(raw));
+  const runsStage = (stage) => stagesToRun.includes(stage);
+  const lastStage = stagesToRun[stagesToRun.length - 1];
+
+  // third-party providers must be registered before --provider is resolved
+  const providerModules = checkpoint
+    ? checkpoint.options.providerModules || []
+    : (
+        parseCommaList(
+          args.providerModule || process.env.GITBRAG_PROVIDER_MODULES,
+        ) || []
+      ).map((p) => path.resolve(p));
+  try {
+    await loadProviderModules(providerModules);
+  } catch (e) {
+    console.error(colorize(`ERROR: ${e.message}`, "red"));
+    process.exit(1);
+  }
+
+  // a resumed run keeps the options it was started with; only keys are re-read
+  const options = checkpoint
+    ? checkpoint.options
+    : await resolveRunOptions(args, {
+        isInteractive,
+        colorize,
+        analyzes: runsStage("analysis"),
+        renders: runsStage("render"),
+        needsFilters: runsStage("commits"),
+        defaults: rawFilterDefaults(raw),
+        providerModules,
+      });
+  const {
+    rootPath,
+    includeGlobs,
+    excludeGlobs,
+    // older checkpoints predate the option
+    diffPaths = { include: [], exclude: [], useDefaults: true },
+    refs = null,
+    squashMerges = { enabled: false, mainBranch: null },
+    submodules = false,
+    scan = { maxDepth: null, ignore: [], useDefaults: true, concurrency: 8 },
+    outputBaseDir,
+    maxDiffBytes,
+    maxCommits,
+    noLlm,
+    includeMerges,
+    fullDiff,
+    only,
+    cacheDir,
+    noCache,
+    // older checkpoints predate the option
+    structuredOutput = true,
+    stream = true,
+    dryRun = false,
+    redact = true,
+    redactRules = null,
+    concurrency = 1,
+    retry,
+    tokenLimits,
+    priceTable,
+    mode,
+    provider,
+    model,
+    baseUrl,
+    since,
+    until,
+    emails,
+    identity = null,
+    authorNames = [],
+  } = options;
+  const author = formatAuthorLabel({ identity, emails, authorNames });
+
+  if (dryRun && (noLlm || !runsStage("analysis"))) {
+    console.error(
+      colorize(
+        "ERROR: --dry-run previews the LLM stages; use it with run or analyze and without --no-llm.",
+        "red",
+      ),
+    );
+    process.exit(1);
+  }
+
+  const usesLlm =
+    !noLlm &&
+    !dryRun &&
+    (runsStage("analysis") || (runsStage("render") && renderNeedsLlm(only)));
+  const apiKeys = usesLlm
+    ? await resolveApiKeys(args, provider, { isInteractive, colorize })
+    : [];
+
+  const limits = resolveModelLimits(provider, model, tokenLimits || {});
+  let price = null;
+  try {
+    price = resolvePrice(provider, model, await loadPriceTable(priceTable));
+  } catch (e) {
+    console.error(
+      colorize(
+        `ERROR: cannot read price table ${priceTable}: ${e.message}`,
+        "red",
+      ),
+    );
+    process.exit(1);
+  }
+  let redactor = null;
+  if (redact) {
+    try {
+      redactor = createRedactor(await loadRedactionRules(redactRules));
+    } catch (e) {
+      console.error(
+        colorize(
+          `ERROR: cannot read redaction rules ${redactRules}: ${e.message}`,
+          "red",
+        ),
       );
+      process.exit(1);
+    }
+  }
+  // streaming only pays off when someone is watching the progress line
+  const progress =
+    usesLlm && stream && process.stdout.isTTY
+      ? createProgressDisplay({ colorize })
+      : null;
+  const retryOptions = { ...DEFAULT_RETRY, ...retry };
+  const keyRing = usesLlm
+    ? createKeyRing(apiKeys, {
+        ...retryOptions,
+        onRetry: ({ reason, delayMs, retries, error }) => {
+          const why = error?.message?.split("\n")[0]?.slice(0, 120) || reason;
+          console.log(
+            colorize(
+              `  ⏳ ${reason}: retry ${retries}/${retryOptions.maxRetries} in ${(
+                delayMs / 1000
+              ).toFixed(1)}s (${why})`,
+              "yellow",
+            ),
+          );
+        },
+      })
+    : null;
+
+  if (args.clearCache) {
+    await clearAnalysisCache(cacheDir);
+    console.log(colorize(`🧹 Cleared analysis cache in ${cacheDir}`, "cyan"));
+  }
+  const analysisCache = await createAnalysisCache({
+    cacheDir,
+    provider,
+    model,
+    // a dry run reads the cache to leave out commits that need no call
+    enabled: (usesLlm || dryRun) && !noCache,
+  });
+
+  const runTimestamp = checkpoint ? new Date(checkpoint.startedAt) : new Date();
+  const runDir =
+    resumeDir || path.join(outputBaseDir, formatTimestampDir(runTimestamp));
+  if (!checkpoint) {
+    checkpoint = createCheckpoint({
+      options,
+      command,
+      stagesToRun,
+      startedAt: runTimestamp,
+    });
+    if (raw) {
+      try {
+        seedCheckpointFromRaw(checkpoint, raw, stagesToRun[0]);
+      } catch (e) {
+        console.error(colorize(`ERROR: ${e.message}`, "red"));
+        process.exit(1);
+      }
+    }
+  }
+  await fs.mkdir(runDir, { recursive: true });
+  const usage = createUsageTracker({ price, previous: checkpoint.usage });
+  // parallel workers share one checkpoint file; queue writes behind each other
+  let checkpointWrite = Promise.resolve();
+  const saveCheckpoint = () => {
+    checkpoint.usage = usage.snapshot();
+    checkpointWrite = checkpointWrite
+      .catch(() => {})
+      .then(() => writeCheckpoint(runDir, checkpoint));
+    return checkpointWrite;
+  };
+  await saveCheckpoint();
+  console.log(
+    colorize(
+      resumeDir
+        ? `⏯️  Resuming ${command} in ${runDir}`
+        : `📁 Run directory: ${runDir} (resume with --resume ${runDir})`,
+      "cyan",
+    ),
+  );
+  if (rawPath) {
+    console.log(colorize(`📥 Reading stage input from ${rawPath}`, "cyan"));
+  }
+  const stageSource = rawPath ? "raw.json" : "checkpoint";
+
+  const repoErrors = JSON.parse(JSON.stringify(checkpoint.errorsByRepo));
+  const recordRepoError = (repoName, message) => {
+    if (!repoErrors[repoName]) repoErrors[repoName] = [];
+    repoErrors[repoName].push(message);
+  };
+  // only collection-stage errors are persisted; LLM stages are retried anyway
+  const snapshotErrors = () => {
+    checkpoint.errorsByRepo = JSON.parse(JSON.stringify(repoErrors));
+  };
+
+  let repos = [];
+  let filteredRepos = [];
+  let reposWithCommits = [];
+  let selectedRepos = [];
+  const enrichedCommits = [];
+  const enrichedByRepo = new Map();
+  let analysisMap = {};
+  const repoSummaries = [];
+  let overallSummary = null;
+
+  const writeRunData = async () => {
+    const enrichedByRepoObj = {};
+    for (const [name, commits] of enrichedByRepo.entries()) {
+      enrichedByRepoObj[name] = commits;
+    }
+
+    const rawData = {
+      filters: { emails, authorNames, identity, since, until },
+      reposScanned: repos,
+      reposAfterFilters: filteredRepos,
+      reposWithCommits: reposWithCommits.map((r) => ({
+        name: r.name,
+        path: r.path,
+        commits: r.commits,
+      })),
+      selectedRepos: selectedRepos.map((r) => ({ name: r.name, path: r.path })),
+      enrichedCommits,
+      enrichedCommitsByRepo: enrichedByRepoObj,
+      analysisMap,
+      repoSummaries,
+      overallSummary,
+      errorsByRepo: repoErrors,
+    };
+
+    await fs.writeFile(
+      path.join(runDir, "raw.json"),
+      JSON.stringify(rawData, null, 2),
+      "utf8",
+    );
+    await writeMeta();
+  };
+
+  // also rewritten by finishRun so usage includes the CV/performance calls
+  const writeMeta = async () => {
+    const meta = {
+      tool: {
+        name: "git-contribution-summarizer",
+        version: "unknown",
+      },
+      run: {
+        timestamp: runTimestamp.toISOString(),
+        outputDir: runDir,
+        command,
+        stages: stagesToRun,
+      },
+      args: {
+        path: rootPath,
+        emails,
+        authorNames,
+        identity,
+        since,
+        until,
+        include: includeGlobs,
+        exclude: excludeGlobs,
+        refs,
+        squashMerges,
+        submodules,
+        scan,
+        diffInclude: diffPaths.include,
+        diffExclude: diffPaths.exclude,
+        defaultDiffExcludes: diffPaths.useDefaults,
+        outputDir: outputBaseDir,
+        mode,
+        only,
+        maxDiffBytes,
+        maxCommits,
+        includeMerges,
+        noLlm,
+        fullDiff,
+        noCache,
+        structuredOutput,
+        stream,
+        dryRun,
+        clearCache: args.clearCache,
+        concurrency,
+        retry: retryOptions,
+        tokenLimits: tokenLimits || null,
+        priceTable,
+        redact,
+        redactRules,
+        resume: resumeDir,
+        raw: rawPath,
+        fromRaw: Boolean(args.fromRaw),
+      },
+      environment: {
+        provider,
+        model,
+        baseUrl,
+        modelLimits: limits,
+        providerModules,
+        apiKeyCount: apiKeys.length,
+      },
+      cache: analysisCache.stats(),
+      redaction: redactor ? summarizeRedactions(enrichedCommits) : null,
+      squashMerges: squashMerges.enabled
+        ? summarizeSquashMerges(enrichedCommits)
+        : null,
+      usage: usage.report(),
+    };
 
-      const pickedProviderLabel = await selectFromList(
-        "Select provider",
-        PROVIDER_MENU.map((p) => p.label),
-        defaultProviderIndex,
-        colorize,
-      );
+    try {
+      const __filename = fileURLToPath(import.meta.url);
+      const __dirname = path.dirname(__filename);
+      const pkgPath = path.resolve(__dirname, "../package.json");
+      const pkgRaw = await fs.readFile(pkgPath, "utf8");
+      const pkg = JSON.parse(pkgRaw);
+      if (pkg?.version) meta.tool.version = pkg.version;
+    } catch {}
 
-      provider =
-        PROVIDER_MENU.find((p) => p.label === pickedProviderLabel)?.value ||
-        "gemini";
+    await fs.writeFile(
+      path.join(runDir, "meta.json"),
+      JSON.stringify(meta, null, 2),
+      "utf8",
+    );
+  };
 
-      if (MODEL_CHOICES[provider]?.length) {
-        const choices = MODEL_CHOICES[provider];
-        const preferred = model || DEFAULT_MODELS[provider];
-        const defaultIndex = Math.max(0, choices.indexOf(preferred));
+  const finishRun = async (doneMessage) => {
+    checkpoint.completedAt = new Date().toISOString();
+    await saveCheckpoint();
+    await writeMeta();
 
-        model = await selectFromList(
-          "Select model",
-          choices,
-          defaultIndex,
-          colorize,
-        );
-      }
+    if (usage.hasCalls()) {
+      const line = formatUsageLine(usage.report(), model);
+      console.log(colorize(`\n${line}`, "cyan"));
     }
 
-    if (!emails?.length) {
-      const input = await promptRequired(
-        "Author emails (comma-separated)",
-        null,
-        colorize,
+    console.log(
+      colorize(`\n✅ Done. ${doneMessage}\nOutput directory: ${runDir}`, "green"),
+    );
+    const analysisPending =
+      runsStage("analysis") && !checkpoint.stages.analysis;
+    const summariesPending =
+      runsStage("summaries") && !checkpoint.stages.summaries;
+    if (!dryRun && (analysisPending || summariesPending)) {
+      console.log(
+        colorize(
+          `WARN: some LLM steps fell back to commit messages. Retry them with --resume ${runDir}`,
+          "yellow",
+        ),
       );
-      emails = parseCommaList(input) || [];
     }
+  };
 
-    since = await promptOptional("Since date (YYYY-MM-DD)", since, colorize);
-    until = await promptOptional("Until date (YYYY-MM-DD)", until, colorize);
-  }
-
-  emails = Array.from(
-    new Set((emails || []).map((e) => e.trim()).filter(Boolean)),
-  );
-
-  if (!emails.length) {
-    console.error(
-      colorize("ERROR: --emails/--email or GITBRAG_EMAIL(S) is required.", "red"),
+  if (checkpoint.stages.scan) {
+    repos = checkpoint.repos;
+    filteredRepos = checkpoint.filteredRepos;
+    console.log(
+      colorize(
+        `⏭️  Skipping scan: ${filteredRepos.length} repositories from ${stageSource}`,
+        "gray",
+      ),
     );
-    process.exit(1);
-  }
-
-  let apiKeys = [];
-  if (!noLlm) {
-    if (!provider) {
+  } else {
+    console.log(
+      colorize(`🔍 Scanning repositories under: ${rootPath}`, "cyan"),
+    );
+    let scanIgnoreFile = null;
+    try {
+      scanIgnoreFile = await readIgnoreFile(rootPath, SCAN_IGNORE_FILE);
+    } catch (e) {
       console.error(
-        colorize("ERROR: --provider must be gemini, gpt, or claude.", "red"),
+        colorize(
+          `ERROR: cannot read ${path.join(rootPath, SCAN_IGNORE_FILE)}: ${e.message}`,
+          "red",
+        ),
       );
       process.exit(1);
     }
+    // a live counter on a TTY, redrawn at most every 100ms
+    let drawnAt = 0;
+    repos = await scanRepositories(rootPath, {
+      submodules,
+      maxDepth: scan.maxDepth,
+      ignore: createScanIgnore({
+        patterns: scan.ignore,
+        useDefaults: scan.useDefaults,
+        ignoreFile: scanIgnoreFile,
+      }),
+      concurrency: scan.concurrency,
+      onProgress: ({ dirs, repos: found, done }) => {
+        const line = `   ${dirs} directories scanned, ${found} repos found`;
+        if (done) {
+          if (process.stdout.isTTY) process.stdout.write("\r\u001b[K");
+          console.log(colorize(line, "gray"));
+        } else if (process.stdout.isTTY && Date.now() - drawnAt >= 100) {
+          drawnAt = Date.now();
+          process.stdout.write(`\r\u001b[K${colorize(line, "gray")}`);
+        }
+      },
+    });
+    const shared = repos.reduce((n, r) => n + (r.sharedWith?.length || 0), 0);
+    if (shared) {
+      console.log(
+        colorize(
+          `🔗 Skipped ${shared} repos sharing an object store with another one`,
+          "gray",
+        ),
+      );
+    }
+    filteredRepos = filterReposByGlobs(repos, includeGlobs, excludeGlobs);
 
-    if (!model) {
-      model = DEFAULT_MODELS[provider];
+    if (!filteredRepos.length) {
+      console.error(colorize("No git repositories found.", "red"));
+      process.exit(1);
     }
 
-    const envKeys = {
-      gemini: process.env.GEMINI_API_KEY,
-      gpt: process.env.OPENAI_API_KEY,
-      claude: process.env.ANTHROPIC_API_KEY,
-    };
-    const envKeyLists = {
-      gemini: process.env.GEMINI_API_KEYS,
-      gpt: process.env.OPENAI_API_KEYS,
-      claude: process.env.ANTHROPIC_API_KEYS,
-    };
+    checkpoint.repos = repos;
+    checkpoint.filteredRepos = filteredRepos;
+    checkpoint.stages.scan = true;
+    await saveCheckpoint();
+  }
 
-    const providerList =
-      provider === "gemini"
-        ? parseCommaList(args.geminiApiKeys || envKeyLists.gemini)
-        : provider === "gpt"
-          ? parseCommaList(args.openaiApiKeys || envKeyLists.gpt)
-          : parseCommaList(args.anthropicApiKeys || envKeyLists.claude);
+  if (lastStage === "scan") {
+    await writeRunData();
+    await finishRun(`${filteredRepos.length} repositories found.`);
+    return;
+  }
 
-    const genericList = parseCommaList(
-      args.apiKeys || process.env.GITBRAG_API_KEYS,
+  if (checkpoint.stages.commits) {
+    reposWithCommits = checkpoint.reposWithCommits.map((r) => ({
+      ...r,
+      commits: reviveCommitDates(r.commits),
+    }));
+    selectedRepos = checkpoint.selectedRepos
+      .map(
+        (s) =>
+          reposWithCommits.find((r) => r.path === s.path) || {
+            ...s,
+            commits: [],
+          },
+      );
+    console.log(
+      colorize(
+        `⏭️  Skipping commit collection: ${selectedRepos.length} repos from ${stageSource}`,
+        "gray",
+      ),
     );
+  } else {
+    let totalFound = 0;
+    let totalDuplicates = 0;
+    let totalSquashed = 0;
+    let totalFolded = 0;
 
-    const providerSingle =
-      provider === "gemini"
-        ? args.geminiApiKey || envKeys.gemini
-        : provider === "gpt"
-          ? args.openaiApiKey || envKeys.gpt
-          : args.anthropicApiKey || envKeys.claude;
-
-    const genericSingle =
-      args.apiKey || process.env.GITBRAG_API_KEY || null;
-
-    apiKeys = [
-      ...(providerList || []),
-      ...(genericList || []),
-      ...(providerSingle ? [providerSingle] : []),
-      ...(genericSingle ? [genericSingle] : []),
-    ]
-      .map((k) => k.trim())
-      .filter(Boolean);
+    for (const repo of filteredRepos) {
+      try {
+        const found = await getCommits(
+          repo.path,
+          emails,
+          since,
+          until,
+          includeMerges,
+          maxCommits,
+          authorNames,
+          refs,
+        );
+        let commits = found;
+        if (hasRefSelection(refs)) {
+          commits = await annotateBranches(repo.path, commits, { refs, since });
+          totalDuplicates += commits.reduce(
+            (sum, c) => sum + (c.duplicates?.length || 0),
+            0,
+          );
+        }
+        if (squashMerges.enabled) {
+          // a failure here costs the squash attribution, not the repo
+          const warnSquash = (message) => {
+            console.error(
+              colorize(
+                `WARN: ${repo.name}: squash-merge detection: ${message}`,
+                "yellow",
+              ),
+            );
+            recordRepoError(repo.name, `squash-merge detection: ${message}`);
+          };
+          try {
+            const squash = await detectSquashMerges(repo.path, commits, {
+              emails,
+              authorNames,
+              since,
+              until,
+              includeMerges,
+              mainBranch: squashMerges.mainBranch,
+              refs,
+            });
+            commits = squash.commits;
+            totalSquashed += squash.matched;
+            totalFolded += squash.folded;
+            for (const w of squash.warnings) warnSquash(`skipped ${w}`);
+          } catch (e) {
+            warnSquash(`skipped: ${e.message}`);
+          }
+        }
+        commits = commits.map((c) => applyIdentity(c, identity));
+        if (redactor) {
+          for (const c of commits) redactCommitText(c, redactor);
+        }
+        if (commits.length) {
+          reposWithCommits.push({ ...repo, commits });
+          totalFound += commits.length;
+        }
+      } catch (e) {
+        recordRepoError(repo.name, e.message);
+      }
+    }
 
-    apiKeys = Array.from(new Set(apiKeys));
-
-    if (isInteractive && !apiKeys.length) {
-      const apiLabel =
-        provider === "gemini"
-          ? "Gemini API key(s) (comma-separated)"
-          : provider === "gpt"
-            ? "OpenAI API key(s) (comma-separated)"
-            : "Anthropic API key(s) (comma-separated)";
-      const input = await promptRequired(apiLabel, null, colorize);
-      apiKeys = parseCommaList(input) || [];
-    }
-
-    if (!apiKeys.length) {
-      const keyHint =
-        provider === "gemini"
-          ? "--gemini-api-key/--gemini-api-keys or GEMINI_API_KEY(S)"
-          : provider === "gpt"
-            ? "--openai-api-key/--openai-api-keys or OPENAI_API_KEY(S)"
-            : "--anthropic-api-key/--anthropic-api-keys or ANTHROPIC_API_KEY(S)";
-      console.error(colorize(`ERROR: ${keyHint} is required.`, "red"));
+    if (!reposWithCommits.length) {
+      console.error(colorize("No commits found for this filter.", "yellow"));
       process.exit(1);
     }
-  }
 
-  const keyRing = noLlm ? null : createKeyRing(apiKeys);
+    console.log(
+      colorize(
+        `Found ${reposWithCommits.length} repos with ${totalFound} commits for ${author}`,
+        "green",
+      ),
+    );
+    if (totalDuplicates) {
+      console.log(
+        colorize(
+          `🔁 Skipped ${totalDuplicates} copies of commits already on another branch`,
+          "cyan",
+        ),
+      );
+    }
+    if (squashMerges.enabled) {
+      console.log(
+        colorize(
+          `🧩 Attributed ${totalSquashed} squash merges standing for ${totalFolded} branch commits`,
+          "cyan",
+        ),
+      );
+    }
 
-  console.log(colorize(`🔍 Scanning repositories under: ${rootPath}`, "cyan"));
-  const repos = await scanRepositories(rootPath);
-  const filteredRepos = filterReposByGlobs(repos, includeGlobs, excludeGlobs);
+    selectedRepos = await selectReposInteractive(
+      reposWithCommits,
+      isInteractive,
+    );
 
-  if (!filteredRepos.length) {
-    console.error(colorize("No git repositories found.", "red"));
-    process.exit(1);
+    checkpoint.reposWithCommits = reposWithCommits.map((r) => ({
+      name: r.name,
+      path: r.path,
+      commits: r.commits,
+    }));
+    checkpoint.selectedRepos = selectedRepos.map((r) => ({
+      name: r.name,
+      path: r.path,
+    }));
+    checkpoint.stages.commits = true;
+    snapshotErrors();
+    await saveCheckpoint();
   }
 
-  const reposWithCommits = [];
-  const repoErrors = {};
-  const recordRepoError = (repoName, message) => {
-    if (!repoErrors[repoName]) repoErrors[repoName] = [];
-    repoErrors[repoName].push(message);
-  };
-  let totalFound = 0;
-
-  for (const repo of filteredRepos) {
+  // Enrich with diffs, checkpointing after each repo
+  const collected = reviveCommitDates(checkpoint.enrichedCommits);
+  let rootIgnore = null;
+  if (runsStage("diffs")) {
     try {
-      const commits = await getCommits(
-        repo.path,
-        emails,
-        since,
-        until,
-        includeMerges,
-        maxCommits,
-      );
-      if (commits.length) {
-        reposWithCommits.push({ ...repo, commits });
-        totalFound += commits.length;
-      }
+      rootIgnore = await readIgnoreFile(rootPath, DIFF_IGNORE_FILE);
     } catch (e) {
-      recordRepoError(repo.name, e.message);
-    }
-  }
-
-  if (!reposWithCommits.length) {
-    console.error(colorize("No commits found for this filter.", "yellow"));
-    process.exit(1);
-  }
-
-  console.log(
-    colorize(
-      `Found ${reposWithCommits.length} repos with ${totalFound} commits for ${emails.join(
-        ", ",
-      )}`,
-      "green",
-    ),
-  );
-
-  const selectedRepos = await selectReposInteractive(
-    reposWithCommits,
-    isInteractive,
-  );
-
-  // Enrich with diffs
-  const enrichedCommits = [];
-  const enrichedByRepo = new Map();
-  const perCommitMaxBytes = 12000;
-
-  for (const repo of selectedRepos) {
-    const repoCommits = [];
-    let remainingBytes = maxDiffBytes;
-    for (const c of repo.commits) {
-      console.log(
+      console.error(
         colorize(
-          `Collecting diff ${repo.name}@${shortHash(c.hash)} (${c.date
-            .toISOString()
-            .slice(0, 10)})...`,
-          "gray",
+          `ERROR: cannot read ${path.join(rootPath, DIFF_IGNORE_FILE)}: ${e.message}`,
+          "red",
         ),
       );
-      let diff = "";
-      let diffError = null;
-      let snippetInfo = {
-        snippet: "",
-        bytesUsed: 0,
-        truncated: false,
-        truncateReason: null,
-      };
-
-      if (remainingBytes <= 0) {
-        snippetInfo = {
-          snippet: "/* TRUNCATED: exceeded per-commit or per-repo diff limit */",
-          bytesUsed: 0,
-          truncated: true,
-          truncateReason: "per-repo",
-        };
-      } else {
-        try {
-          diff = await getDiffForCommit(repo.path, c.hash);
-        } catch (e) {
-          diffError = e.message;
-          recordRepoError(
-            repo.name,
-            `diff ${shortHash(c.hash)}: ${e.message}`,
-          );
-        }
-
-        if (diff) {
-          const maxBytes = Math.min(perCommitMaxBytes, remainingBytes);
-          const reason =
-            remainingBytes < perCommitMaxBytes ? "per-repo" : "per-commit";
-          snippetInfo = buildDiffSnippet(diff, maxBytes, reason);
-          remainingBytes = Math.max(0, remainingBytes - snippetInfo.bytesUsed);
-        }
-      }
-
-      const files = extractFilePathsFromDiff(diff || snippetInfo.snippet);
-
-      const enriched = {
-        repoName: repo.name,
-        repoPath: repo.path,
-        hash: c.hash,
-        date: c.date,
-        message: c.message,
-        authorName: c.authorName,
-        authorEmail: c.authorEmail,
-        typeHint: c.typeHint,
-        diffSnippet: snippetInfo.snippet,
-        diffBytes: snippetInfo.bytesUsed,
-        diffTruncated: snippetInfo.truncated,
-        diffTruncateReason: snippetInfo.truncateReason,
-        diffError,
-        files,
-        ...(fullDiff && diff ? { diffFull: diff } : {}),
-      };
+      process.exit(1);
+    }
+  }
 
-      enrichedCommits.push(enriched);
-      repoCommits.push(enriched);
+  for (const repo of selectedRepos) {
+    let repoCommits;
+    if (checkpoint.diffRepos.includes(repo.path)) {
+      repoCommits = collected.filter((c) => c.repoPath === repo.path);
+    } else {
+      repoCommits = await collectRepoDiffs(repo, {
+        maxDiffBytes,
+        fullDiff,
+        diffPaths: { ...diffPaths, rootIgnore },
+        redactor,
+        colorize,
+        recordRepoError,
+      });
+      checkpoint.enrichedCommits.push(...repoCommits);
+      checkpoint.diffRepos.push(repo.path);
+      snapshotErrors();
+      await saveCheckpoint();
     }
+    enrichedCommits.push(...repoCommits);
     enrichedByRepo.set(repo.name, repoCommits);
   }
+  if (!checkpoint.stages.diffs) {
+    checkpoint.stages.diffs = true;
+    await saveCheckpoint();
+  }
+
+  const redaction = summarizeRedactions(enrichedCommits);
+  if (redaction.values) {
+    const byRule = Object.entries(redaction.byRule)
+      .map(([name, n]) => `${name} ${n}`)
+      .join(", ");
+    console.log(
+      colorize(
+        `🔒 Redacted ${redaction.values} values in ${redaction.commits} commits (${byRule})`,
+        "cyan",
+      ),
+    );
+  }
 
   if (!enrichedCommits.length) {
     console.error(colorize("No diffs collected. Nothing to analyze.", "red"));
     process.exit(1);
   }
 
-  let analysisMap = {};
-  if (noLlm) {
+  if (lastStage === "diffs") {
+    await writeRunData();
+    await finishRun(`${enrichedCommits.length} commits collected.`);
+    return;
+  }
+
+  if (dryRun) {
+    const plan = buildDryRunPlan({
+      enrichedCommits,
+      enrichedByRepo,
+      selectedRepos,
+      limits,
+      cache: analysisCache,
+      // interactive mode may pick either, so count both
+      outputs: {
+        cv: only ? only === "cv" : mode !== "perf",
+        perf: only ? only === "perf" : mode !== "cv",
+      },
+    });
+    const report = await writeDryRun({ runDir, plan, price });
+    const { total } = report.estimate;
+    const fmt = (n) => n.toLocaleString("en-US");
+    console.log(
+      colorize(
+        [
+          `\n🧪 Dry run with ${provider} / ${model}: no provider was called.`,
+          `   Analysis: ${report.batches.commits} commits in ${report.batches.count} batches (~${fmt(report.batches.promptTokenBudget)} prompt tokens, max ${report.batches.maxCommitsPerBatch} commits each), ${report.batches.cachedCommits} cached`,
+          `   Estimate: ${total.calls} LLM calls, ~${fmt(total.inputTokens)} in / ~${fmt(total.outputTokens)} out tokens, ${formatCost(total.cost, model)}`,
+          `   Prompts: ${path.join(runDir, DRY_RUN_PROMPTS_DIR)}`,
+        ].join("\n"),
+        "cyan",
+      ),
+    );
+    await writeRunData();
+    await finishRun(
+      `Dry run complete. Continue with: analyze --raw ${path.join(runDir, "raw.json")}`,
+    );
+    return;
+  }
+
+  if (checkpoint.stages.analysis) {
+    analysisMap = { ...checkpoint.analysisMap };
+  } else if (noLlm) {
     analysisMap = buildFallbackAnalysisMap(enrichedCommits);
   } else {
     console.log(
@@ -2045,11 +7227,32 @@ async function main() {
       provider,
       keyRing,
       model,
+      baseUrl,
+      limits,
+      structuredOutput,
+      progress,
+      usage,
       enrichedCommits,
       colorize,
+      cache: analysisCache,
+      previous: checkpoint.analysisMap,
+      concurrency,
+      onProgress: async (completed) => {
+        checkpoint.analysisMap = { ...completed };
+        await saveCheckpoint();
+      },
     });
   }
 
+  const analysisComplete =
+    checkpoint.stages.analysis ||
+    noLlm ||
+    enrichedCommits.every((c) => checkpoint.analysisMap[c.hash]);
+  if (checkpoint.stages.analysis !== analysisComplete) {
+    checkpoint.stages.analysis = analysisComplete;
+    await saveCheckpoint();
+  }
+
   for (const c of enrichedCommits) {
     if (!analysisMap[c.hash]) {
       analysisMap[c.hash] = {
@@ -2060,59 +7263,114 @@ async function main() {
     c.analysis = analysisMap[c.hash];
   }
 
-  const repoSummaries = [];
-  for (const repo of selectedRepos) {
-    const commits = enrichedByRepo.get(repo.name) || [];
-    for (const c of commits) {
-      c.analysis = analysisMap[c.hash];
-    }
-    if (noLlm) {
-      repoSummaries.push(buildBasicRepoSummary(repo.name, commits));
-      continue;
+  if (checkpoint.stages.summaries) {
+    for (const repo of selectedRepos) {
+      const commits = enrichedByRepo.get(repo.name) || [];
+      repoSummaries.push(
+        checkpoint.repoSummaries[repo.path] ||
+          buildBasicRepoSummary(repo.name, commits),
+      );
     }
-    try {
-      const summary = await analyzeRepoSummary({
-        provider,
-        keyRing,
-        model,
-        repoName: repo.name,
-        commits,
-      });
-      repoSummaries.push(summary);
-    } catch (e) {
-      recordRepoError(repo.name, `summary: ${e.message}`);
-      repoSummaries.push(buildBasicRepoSummary(repo.name, commits));
+    overallSummary =
+      checkpoint.overallSummary || buildBasicOverallSummary(repoSummaries);
+  } else {
+    // summaries built on fallback analysis are not checkpointed, so a resume
+    // regenerates them once the missing batches succeed
+    let summariesComplete = !noLlm && analysisComplete;
+    const summaries = await mapWithConcurrency(
+      selectedRepos,
+      noLlm ? 1 : concurrency,
+      async (repo) => {
+        const commits = enrichedByRepo.get(repo.name) || [];
+        if (noLlm) return buildBasicRepoSummary(repo.name, commits);
+        const saved = analysisComplete
+          ? checkpoint.repoSummaries[repo.path]
+          : null;
+        if (saved) return saved;
+        try {
+          const summary = await analyzeRepoSummary({
+            provider,
+            keyRing,
+            model,
+            baseUrl,
+            limits,
+            structuredOutput,
+            progress,
+            usage,
+            repoName: repo.name,
+            commits,
+          });
+          if (analysisComplete) {
+            checkpoint.repoSummaries[repo.path] = summary;
+            await saveCheckpoint();
+          }
+          return summary;
+        } catch (e) {
+          recordRepoError(repo.name, `summary: ${e.message}`);
+          summariesComplete = false;
+          return buildBasicRepoSummary(repo.name, commits);
+        }
+      },
+    );
+    repoSummaries.push(...summaries);
+
+    overallSummary = buildBasicOverallSummary(repoSummaries);
+    if (!noLlm) {
+      if (summariesComplete && checkpoint.overallSummary) {
+        overallSummary = checkpoint.overallSummary;
+      } else {
+        try {
+          overallSummary = await analyzeOverallSummary({
+            provider,
+            keyRing,
+            model,
+            baseUrl,
+            limits,
+            structuredOutput,
+            progress,
+            usage,
+            repoSummaries,
+          });
+          if (summariesComplete) {
+            checkpoint.overallSummary = overallSummary;
+          }
+        } catch (e) {
+          recordRepoError("overall", `summary: ${e.message}`);
+          summariesComplete = false;
+        }
+      }
     }
+    checkpoint.stages.summaries = noLlm || summariesComplete;
+    await saveCheckpoint();
   }
 
-  let overallSummary = buildBasicOverallSummary(repoSummaries);
-  if (!noLlm) {
-    try {
-      overallSummary = await analyzeOverallSummary({
-        provider,
-        keyRing,
-        model,
-        repoSummaries,
-      });
-    } catch (e) {
-      recordRepoError("overall", `summary: ${e.message}`);
-    }
+  if (lastStage === "summaries") {
+    await writeRunData();
+    await finishRun(`${enrichedCommits.length} commits analyzed.`);
+    return;
   }
 
   if (noLlm) {
     console.log(
       colorize(
-        "WARN: --no-llm enabled: only raw.json + summary.md will be generated.",
+        "WARN: --no-llm enabled: only raw.json, summary.md and the stats files (stats.md, stats.json, stats-*.csv) will be generated.",
         "yellow",
       ),
     );
   }
 
-  let outputPlan = { summary: true, brag: true, cv: false, perf: false };
+  let outputPlan = {
+    summary: true,
+    brag: true,
+    stats: true,
+    cv: false,
+    perf: false,
+  };
   if (only) {
     outputPlan = {
       summary: only === "summary",
       brag: only === "brag",
+      stats: only === "stats",
       cv: only === "cv",
       perf: only === "perf",
     };
@@ -2149,95 +7407,26 @@ async function main() {
   }
 
   if (noLlm) {
-    outputPlan = { summary: true, brag: false, cv: false, perf: false };
+    outputPlan = {
+      summary: true,
+      brag: false,
+      stats: true,
+      cv: false,
+      perf: false,
+    };
   }
 
-  const runTimestamp = new Date();
-  const runDir = path.join(outputBaseDir, formatTimestampDir(runTimestamp));
-  await fs.mkdir(runDir, { recursive: true });
-
   const summaryContent = buildSummaryDoc({
-    emails,
+    author,
     since,
     until,
     totalCommits: enrichedCommits.length,
-    repoSummaries,
-    overallSummary,
-  });
-
-  const enrichedByRepoObj = {};
-  for (const [name, commits] of enrichedByRepo.entries()) {
-    enrichedByRepoObj[name] = commits;
-  }
-
-  const rawData = {
-    reposScanned: repos,
-    reposAfterFilters: filteredRepos,
-    reposWithCommits: reposWithCommits.map((r) => ({
-      name: r.name,
-      path: r.path,
-      commits: r.commits,
-    })),
-    selectedRepos: selectedRepos.map((r) => ({ name: r.name, path: r.path })),
     enrichedCommits,
-    enrichedCommitsByRepo: enrichedByRepoObj,
-    analysisMap,
     repoSummaries,
     overallSummary,
-    errorsByRepo: repoErrors,
-  };
-
-  const meta = {
-    tool: {
-      name: "git-contribution-summarizer",
-      version: "unknown",
-    },
-    run: {
-      timestamp: runTimestamp.toISOString(),
-      outputDir: runDir,
-    },
-    args: {
-      path: rootPath,
-      emails,
-      since,
-      until,
-      include: includeGlobs,
-      exclude: excludeGlobs,
-      outputDir: outputBaseDir,
-      mode,
-      only,
-      maxDiffBytes,
-      maxCommits,
-      includeMerges,
-      noLlm,
-      fullDiff,
-    },
-    environment: {
-      provider,
-      model,
-      apiKeyCount: noLlm ? 0 : apiKeys.length,
-    },
-  };
-
-  try {
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = path.dirname(__filename);
-    const pkgPath = path.resolve(__dirname, "../package.json");
-    const pkgRaw = await fs.readFile(pkgPath, "utf8");
-    const pkg = JSON.parse(pkgRaw);
-    if (pkg?.version) meta.tool.version = pkg.version;
-  } catch {}
+  });
 
-  await fs.writeFile(
-    path.join(runDir, "raw.json"),
-    JSON.stringify(rawData, null, 2),
-    "utf8",
-  );
-  await fs.writeFile(
-    path.join(runDir, "meta.json"),
-    JSON.stringify(meta, null, 2),
-    "utf8",
-  );
+  await writeRunData();
 
   if (outputPlan.summary) {
     await fs.writeFile(path.join(runDir, "summary.md"), summaryContent, "utf8");
@@ -2249,7 +7438,16 @@ async function main() {
       selectedRepos,
       enrichedByRepo,
       analysisMap,
-      emails,
+      author,
+      outputDir: runDir,
+    });
+  }
+
+  if (outputPlan.stats) {
+    await writeStatsReport({
+      enrichedCommits,
+      analysisMap,
+      author,
       outputDir: runDir,
     });
   }
@@ -2267,6 +7465,11 @@ async function main() {
           provider,
           keyRing,
           model,
+          baseUrl,
+          limits,
+          structuredOutput,
+          progress,
+          usage,
           repoSummaries,
           overallSummary,
         });
@@ -2301,6 +7504,11 @@ async function main() {
           provider,
           keyRing,
           model,
+          baseUrl,
+          limits,
+          structuredOutput,
+          progress,
+          usage,
           repoSummaries,
           overallSummary,
         });
@@ -2317,12 +7525,7 @@ async function main() {
     );
   }
 
-  console.log(
-    colorize(
-      `\n✅ Done. ${enrichedCommits.length} commits summarized.\nOutput directory: ${runDir}`,
-      "green",
-    ),
-  );
+  await finishRun(`${enrichedCommits.length} commits summarized.`);
 }
 
 main().catch((err) => {